@@ -14,4 +14,27 @@ nodeEnv: process.env.NODE_ENV || "development",
       ? "https://junkhub.vercel.app"
       : "http://localhost:5173"),
   databaseUrl: process.env.DATABASE_URL,
+  // Secret sent by the scheduler (e.g. Vercel Cron) to run background jobs
+  cronSecret: process.env.CRON_SECRET,
+  // Delivered orders are auto-confirmed after this many days
+  orderAutoCompleteDays: parseInt(process.env.ORDER_AUTO_COMPLETE_DAYS) || 7,
+  // Buyers are reminded this many days before auto-confirmation
+  orderAutoCompleteReminderDays:
+    parseInt(process.env.ORDER_AUTO_COMPLETE_REMINDER_DAYS) || 2,
+  // E-wallet provider for prepaid orders ("fake" simulates one locally);
+  // e-wallet checkout is turned off in production until one is set
+  paymentProvider:
+    process.env.PAYMENT_PROVIDER ||
+    (process.env.NODE_ENV === "production" ? undefined : "fake"),
+  // Shared secret used to sign payment webhooks
+  paymentWebhookSecret:
+    process.env.PAYMENT_WEBHOOK_SECRET ||
+    (process.env.NODE_ENV === "production"
+      ? undefined
+      : "dev-payment-webhook-secret"),
+  // Responses to requests with an Idempotency-Key are replayed this long
+  idempotencyKeyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  // Pending orders are auto-cancelled after this many hours unless the shop
+  // sets its own SLA
+  orderPendingSlaHours: parseInt(process.env.ORDER_PENDING_SLA_HOURS) || 48,
 };
@@ -0,0 +1,98 @@
+import prisma from "../lib/prisma.js";
+import { config } from "../config/index.js";
+import { completeOrder } from "../lib/orderService.js";
+import { notifyAutoCompleteReminder } from "../lib/notificationService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delivered orders last touched before `cutoff`. Orders delivered before
+ * deliveredAt was tracked fall back to their last update time until the
+ * reminder pins it (see below).
+ */
+function deliveredBefore(cutoff) {
+  return {
+    status: "delivered",
+    OR: [
+      { deliveredAt: { lte: cutoff } },
+      { deliveredAt: null, updatedAt: { lte: cutoff } },
+    ],
+  };
+}
+
+/**
+ * Remind buyers before their delivered orders are auto-confirmed, then
+ * auto-confirm orders whose grace period has passed.
+ * @returns {Promise<object>} { reminded, completed, failed }
+ */
+export async function runAutoCompleteOrders(now = new Date()) {
+  const graceMs = config.orderAutoCompleteDays * DAY_MS;
+  const reminderMs =
+    Math.max(
+      config.orderAutoCompleteDays - config.orderAutoCompleteReminderDays,
+      0
+    ) * DAY_MS;
+
+  // Send reminders first so nobody is auto-confirmed without warning
+  const toRemind = await prisma.order.findMany({
+    where: {
+      ...deliveredBefore(new Date(now.getTime() - reminderMs)),
+      autoCompleteReminderSentAt: null,
+    },
+    select: { id: true, userId: true, deliveredAt: true, updatedAt: true },
+  });
+
+  for (const order of toRemind) {
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    await notifyAutoCompleteReminder(
+      order,
+      new Date(deliveredAt.getTime() + graceMs)
+    );
+    // Store the fallback as deliveredAt: writing the reminder bumps
+    // updatedAt, which would otherwise push the deadline back
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { autoCompleteReminderSentAt: now, deliveredAt },
+    });
+  }
+
+  // Only auto-confirm orders whose buyer got the full reminder window, even
+  // if the reminder went out late
+  const toComplete = await prisma.order.findMany({
+    where: {
+      ...deliveredBefore(new Date(now.getTime() - graceMs)),
+      autoCompleteReminderSentAt: {
+        lte: new Date(
+          now.getTime() - config.orderAutoCompleteReminderDays * DAY_MS
+        ),
+      },
+    },
+    include: {
+      shop: true,
+      items: {
+        include: {
+          product: {
+            include: {
+              shop: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  let completed = 0;
+  let failed = 0;
+  for (const order of toComplete) {
+    try {
+      await completeOrder(order, { role: "system", id: null });
+      completed++;
+    } catch (error) {
+      // e.g. the buyer confirmed it in the meantime
+      console.error(`Failed to auto-complete order ${order.id}:`, error);
+      failed++;
+    }
+  }
+
+  return { reminded: toRemind.length, completed, failed };
+}
@@ -0,0 +1,83 @@
+import prisma from "../lib/prisma.js";
+import { config } from "../config/index.js";
+import { cancelOrder } from "../lib/orderService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pending orders placed before their shop's SLA window. Shops without their
+ * own SLA (and legacy orders without a shop) use the platform default.
+ * Custom SLAs are grouped by value, so the query doesn't grow with the
+ * number of shops.
+ */
+async function overdueOrdersWhere(now) {
+  const cutoff = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+  const slas = await prisma.shop.findMany({
+    where: { pendingSlaHours: { not: null } },
+    distinct: ["pendingSlaHours"],
+    select: { pendingSlaHours: true },
+  });
+
+  return {
+    status: "pending",
+    OR: [
+      {
+        OR: [{ shopId: null }, { shop: { pendingSlaHours: null } }],
+        createdAt: { lte: cutoff(config.orderPendingSlaHours) },
+      },
+      ...slas.map(({ pendingSlaHours }) => ({
+        shop: { pendingSlaHours },
+        createdAt: { lte: cutoff(pendingSlaHours) },
+      })),
+    ],
+  };
+}
+
+/**
+ * Auto-cancel pending orders whose shop didn't start processing them within
+ * the SLA. Stock is restored and both buyer and owner are notified; the
+ * breach is recorded on the order for owner stats and the admin report.
+ * @returns {Promise<object>} { cancelled, failed }
+ */
+export async function runCancelOverdueOrders(now = new Date()) {
+  const overdue = await prisma.order.findMany({
+    where: await overdueOrdersWhere(now),
+    include: {
+      shop: true,
+      items: {
+        include: {
+          product: {
+            include: {
+              shop: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  let cancelled = 0;
+  let failed = 0;
+  for (const order of overdue) {
+    const hours = order.shop?.pendingSlaHours || config.orderPendingSlaHours;
+    try {
+      await cancelOrder(
+        order,
+        { role: "system", id: null },
+        {
+          reason: "shop_unresponsive",
+          note: `Not processed within ${hours} hours`,
+          data: { slaBreachedAt: now },
+        }
+      );
+      cancelled++;
+    } catch (error) {
+      // e.g. the owner started processing it in the meantime
+      console.error(`Failed to auto-cancel order ${order.id}:`, error);
+      failed++;
+    }
+  }
+
+  return { cancelled, failed };
+}
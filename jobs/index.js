@@ -0,0 +1,40 @@
+import { runAutoCompleteOrders } from "./autoCompleteOrders.js";
+import { runCancelOverdueOrders } from "./cancelOverdueOrders.js";
+import { runPurgeIdempotencyKeys } from "./purgeIdempotencyKeys.js";
+
+/**
+ * Background jobs, run by GET /api/jobs/run (Vercel Cron) in production
+ * and on an interval by the local server.
+ */
+export const jobs = {
+  autoCompleteOrders: runAutoCompleteOrders,
+  cancelOverdueOrders: runCancelOverdueOrders,
+  purgeIdempotencyKeys: runPurgeIdempotencyKeys,
+};
+
+const JOB_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Run every job, collecting each job's result or error
+ */
+export async function runAllJobs() {
+  const results = {};
+  for (const [name, run] of Object.entries(jobs)) {
+    try {
+      results[name] = await run();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      results[name] = { error: error.message };
+    }
+  }
+  return results;
+}
+
+/**
+ * Run jobs periodically for long-running servers
+ */
+export function startJobScheduler() {
+  const timer = setInterval(runAllJobs, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
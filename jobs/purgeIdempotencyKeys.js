@@ -0,0 +1,14 @@
+import prisma from "../lib/prisma.js";
+import { idempotencyKeyCutoff } from "../middleware/idempotency.js";
+
+/**
+ * Delete idempotency keys whose replay window has passed
+ * @returns {Promise<object>} { deleted }
+ */
+export async function runPurgeIdempotencyKeys(now = new Date()) {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { createdAt: { lt: idempotencyKeyCutoff(now) } },
+  });
+
+  return { deleted: count };
+}
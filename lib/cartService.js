@@ -0,0 +1,188 @@
+import prisma from "./prisma.js";
+import { createCheckout } from "./orderService.js";
+
+/**
+ * Cart Service - Server-side cart re-validated against current products
+ */
+
+export const CART_INCLUDE = {
+  product: {
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      images: true,
+      stock: true,
+      unit: true,
+      status: true,
+      type: true,
+      shop: {
+        select: { id: true, name: true },
+      },
+    },
+  },
+};
+
+/**
+ * List problems that prevent a cart item from being checked out:
+ * "unapproved", "not_for_sale", "out_of_stock", "insufficient_stock",
+ * "price_changed" (until the buyer updates the item)
+ */
+function getCartItemIssues(item) {
+  const { product } = item;
+  const issues = [];
+
+  if (product.status !== "approved") issues.push("unapproved");
+  if (product.type !== "Selling") issues.push("not_for_sale");
+  if (product.stock <= 0) {
+    issues.push("out_of_stock");
+  } else if (product.stock < item.quantity) {
+    issues.push("insufficient_stock");
+  }
+  if (product.price !== item.priceAtAdd) issues.push("price_changed");
+
+  return issues;
+}
+
+/**
+ * Get a user's cart with every item re-validated
+ * @param {string} userId - Buyer ID
+ * @returns {Promise<object>} { items, subtotal, itemCount, hasIssues }
+ */
+export async function getCart(userId) {
+  const cartItems = await prisma.cartItem.findMany({
+    where: { userId },
+    include: CART_INCLUDE,
+    orderBy: { createdAt: "asc" },
+  });
+
+  let subtotal = 0;
+  const items = cartItems.map((item) => {
+    const issues = getCartItemIssues(item);
+    const available = issues.length === 0;
+    if (available) {
+      subtotal += item.product.price * item.quantity;
+    }
+
+    return {
+      ...item,
+      available,
+      issues,
+      currentPrice: item.product.price,
+    };
+  });
+
+  return {
+    items,
+    subtotal,
+    itemCount: items.length,
+    hasIssues: items.some((item) => !item.available),
+  };
+}
+
+/**
+ * Re-check a past order's items against current products for reordering.
+ * Items keep their original quantities; a changed price doesn't make an item
+ * unavailable but is flagged so the buyer can see it.
+ * Expects the order to include `items.product` with the cart's product fields.
+ * @param {object} order - Past order
+ * @returns {object} { items, unavailable, subtotal, hasPriceChanges } where
+ *   `items` are ready to add to the cart or order and `unavailable` lists
+ *   each skipped item with its `reasons`
+ */
+export function getReorderItems(order) {
+  const items = [];
+  const unavailable = [];
+  let subtotal = 0;
+
+  for (const item of order.items) {
+    const { product, quantity } = item;
+    const issues = getCartItemIssues({
+      product,
+      quantity,
+      priceAtAdd: item.price,
+    });
+    const reasons = issues.filter((issue) => issue !== "price_changed");
+
+    if (reasons.length > 0) {
+      unavailable.push({
+        productId: product.id,
+        productName: product.name,
+        quantity,
+        stock: product.stock,
+        reasons,
+      });
+      continue;
+    }
+
+    subtotal += product.price * quantity;
+    items.push({
+      productId: product.id,
+      quantity,
+      price: product.price,
+      previousPrice: item.price,
+      priceChanged: issues.includes("price_changed"),
+      product,
+    });
+  }
+
+  return {
+    items,
+    unavailable,
+    subtotal,
+    hasPriceChanges: items.some((item) => item.priceChanged),
+  };
+}
+
+/**
+ * Check out the whole cart through the regular order creation logic.
+ * Fails with per-item details if any item has issues; ordered items are
+ * removed from the cart in the same transaction.
+ * @param {string} userId - Buyer ID
+ * @param {object} shipping - { shippingAddress, shippingCity, shippingZip,
+ *   deliveryInstructions }
+ * @param {object} options - Passed to createCheckout ({ voucherCode, paymentMethod })
+ * @returns {Promise<object>} Checkout including orders
+ */
+export async function checkoutCart(userId, shipping, options = {}) {
+  const cart = await getCart(userId);
+
+  if (cart.items.length === 0) {
+    const error = new Error("Cart is empty");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (cart.hasIssues) {
+    const error = new Error("Some cart items cannot be ordered");
+    error.name = "ValidationError";
+    error.details = cart.items
+      .filter((item) => !item.available)
+      .map((item) => ({
+        productId: item.productId,
+        productName: item.product.name,
+        issues: item.issues,
+      }));
+    throw error;
+  }
+
+  return createCheckout(
+    userId,
+    cart.items.map((item) => ({
+      productId: item.productId,
+      quantity: item.quantity,
+    })),
+    shipping,
+    {
+      ...options,
+      extra: async (tx) => {
+        await tx.cartItem.deleteMany({
+          where: {
+            userId,
+            productId: { in: cart.items.map((item) => item.productId) },
+          },
+        });
+      },
+    }
+  );
+}
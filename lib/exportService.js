@@ -0,0 +1,269 @@
+import ExcelJS from "exceljs";
+import prisma from "./prisma.js";
+import { formatQuantity } from "./unitService.js";
+
+/**
+ * Export Service - Stream owner orders as CSV or XLSX spreadsheets
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+export const EXPORT_TYPES = ["orders", "items"];
+
+const BATCH_SIZE = 500;
+
+const EXPORT_ORDER_INCLUDE = {
+  shop: { select: { name: true } },
+  user: { select: { firstName: true, lastName: true, email: true } },
+  items: {
+    include: {
+      product: {
+        select: {
+          name: true,
+          category: true,
+          shop: { select: { name: true } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm" in Philippine time
+ */
+function formatDateTime(date) {
+  if (!date) return "";
+  // sv-SE formats as YYYY-MM-DD HH:mm
+  return new Intl.DateTimeFormat("sv-SE", {
+    timeZone: "Asia/Manila",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(date));
+}
+
+function orderBaseColumns(order) {
+  return {
+    orderId: order.id,
+    receiptNumber: order.receiptNumber || "",
+    orderDate: formatDateTime(order.createdAt),
+    status: order.status,
+    // Legacy orders have no shop of their own; use the first item's shop
+    shop: order.shop?.name || order.items[0]?.product?.shop?.name || "",
+    customer: `${order.user.firstName} ${order.user.lastName}`,
+    customerEmail: order.user.email,
+  };
+}
+
+const BASE_COLUMNS = [
+  { header: "Order ID", key: "orderId", width: 38 },
+  { header: "Receipt No.", key: "receiptNumber", width: 20 },
+  { header: "Order Date", key: "orderDate", width: 18 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Shop", key: "shop", width: 24 },
+  { header: "Customer", key: "customer", width: 24 },
+  { header: "Customer Email", key: "customerEmail", width: 28 },
+];
+
+/**
+ * Columns and row builder for each export type. "orders" has one row per
+ * order; "items" has one row per order item.
+ */
+const EXPORTS = {
+  orders: {
+    columns: [
+      ...BASE_COLUMNS,
+      { header: "Items", key: "items", width: 40 },
+      { header: "Subtotal", key: "subtotal", width: 12 },
+      { header: "Discount", key: "discount", width: 12 },
+      { header: "Shipping Fee", key: "shippingFee", width: 12 },
+      { header: "Total", key: "total", width: 12 },
+      { header: "Payment Method", key: "paymentMethod", width: 14 },
+      { header: "Payment Status", key: "paymentStatus", width: 14 },
+      { header: "Completed At", key: "completedAt", width: 18 },
+    ],
+    rows(order) {
+      return [
+        {
+          ...orderBaseColumns(order),
+          items: order.items
+            .map(
+              (item) =>
+                `${formatQuantity(item.quantity, item.unit)} ${
+                  item.product.name
+                }`
+            )
+            .join("; "),
+          subtotal:
+            Math.round(
+              (order.total + order.discount - order.shippingFee) * 100
+            ) / 100,
+          discount: order.discount,
+          shippingFee: order.shippingFee,
+          total: order.total,
+          paymentMethod: order.paymentMethod,
+          paymentStatus: order.paymentStatus,
+          completedAt: formatDateTime(order.completedAt),
+        },
+      ];
+    },
+  },
+  items: {
+    columns: [
+      ...BASE_COLUMNS,
+      { header: "Product", key: "product", width: 30 },
+      { header: "Category", key: "category", width: 16 },
+      { header: "Quantity", key: "quantity", width: 10 },
+      { header: "Unit", key: "unit", width: 8 },
+      { header: "Unit Price", key: "unitPrice", width: 12 },
+      { header: "Line Total", key: "lineTotal", width: 12 },
+      { header: "Completed At", key: "completedAt", width: 18 },
+    ],
+    rows(order) {
+      const base = orderBaseColumns(order);
+      return order.items.map((item) => ({
+        ...base,
+        product: item.product.name,
+        category: item.product.category,
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.price,
+        lineTotal: Math.round(item.price * item.quantity * 100) / 100,
+        completedAt: formatDateTime(order.completedAt),
+      }));
+    },
+  },
+};
+
+/**
+ * Read matching orders in batches so large exports never load all at once
+ */
+async function* iterateOrders(where) {
+  let cursor;
+  for (;;) {
+    const orders = await prisma.order.findMany({
+      where,
+      include: EXPORT_ORDER_INCLUDE,
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    yield* orders;
+
+    if (orders.length < BATCH_SIZE) return;
+    cursor = orders[orders.length - 1].id;
+  }
+}
+
+/**
+ * Quote a CSV value. Text starting with a formula character is prefixed
+ * with ' so spreadsheet apps don't evaluate it.
+ */
+function csvValue(value) {
+  if (typeof value === "number") return String(value);
+
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write to the response, waiting when its buffer is full. A client that
+ * disconnects never drains it, so closing or failing also ends the wait.
+ * @returns {Promise<boolean>} false once the response is gone
+ */
+async function write(res, chunk) {
+  if (res.destroyed) return false;
+
+  if (!res.write(chunk)) {
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        res.off("error", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+      res.on("error", done);
+    });
+  }
+  return !res.destroyed;
+}
+
+async function streamCsv(res, definition, where) {
+  // BOM so Excel opens the file as UTF-8
+  await write(
+    res,
+    `\uFEFF${definition.columns.map((c) => csvValue(c.header)).join(",")}\r\n`
+  );
+
+  // Leaving the loop stops paging through orders
+  for await (const order of iterateOrders(where)) {
+    for (const row of definition.rows(order)) {
+      const written = await write(
+        res,
+        `${definition.columns.map((c) => csvValue(row[c.key])).join(",")}\r\n`
+      );
+      if (!written) return;
+    }
+  }
+
+  res.end();
+}
+
+async function streamXlsx(res, definition, where, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = definition.columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const order of iterateOrders(where)) {
+    // The client disconnected; stop paging through orders
+    if (res.destroyed) return;
+    for (const row of definition.rows(order)) {
+      sheet.addRow(row).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream an export of the orders matching `where` as a file download
+ * @param {object} res - Express response
+ * @param {object} where - Prisma where clause for the orders
+ * @param {object} options - { format: "csv" | "xlsx", type: "orders" | "items" }
+ */
+export async function streamOrdersExport(res, where, { format, type }) {
+  const definition = EXPORTS[type];
+  const date = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Manila" })
+    .format(new Date())
+    .replace(/-/g, "");
+  const filename = `${type}-${date}.${format}`;
+
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    await streamXlsx(
+      res,
+      definition,
+      where,
+      type === "items" ? "Items" : "Orders"
+    );
+  } else {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    await streamCsv(res, definition, where);
+  }
+}
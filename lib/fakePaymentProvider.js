@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import { config } from "../config/index.js";
+
+/**
+ * Fake Payment Provider - Local stand-in for an e-wallet (GCash/Maya style)
+ * so the whole prepaid flow, including signed webhooks, works offline
+ */
+
+function sign(rawBody) {
+  return crypto
+    .createHmac("sha256", config.paymentWebhookSecret)
+    .update(rawBody)
+    .digest("hex");
+}
+
+export const fakePaymentProvider = {
+  name: "fake",
+
+  /**
+   * Register a payment and return where the buyer completes it
+   */
+  async createIntent({ amount, currency }) {
+    const providerRef = `fake_${crypto.randomUUID()}`;
+    return {
+      providerRef,
+      checkoutUrl: `/api/payments/fake/${providerRef}?amount=${amount}&currency=${currency}`,
+    };
+  },
+
+  /**
+   * Stop a payment; fake payments are only completed on request, so there's
+   * nothing to call off
+   */
+  async cancelIntent() {},
+
+  /**
+   * Check the webhook signature and turn the payload into a payment event
+   * @returns {object} { id, type, providerRef, failureReason, payload }
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers["x-fake-signature"] || "";
+    const expected = sign(rawBody);
+
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      const error = new Error("Invalid webhook signature");
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      id: payload.id,
+      type: payload.type,
+      providerRef: payload.data.reference,
+      failureReason: payload.data.failureReason,
+      payload,
+    };
+  },
+
+  /**
+   * Build a signed webhook the way the provider would send it
+   * @param {object} event - { type, providerRef, failureReason }
+   * @returns {object} { rawBody, headers }
+   */
+  buildWebhook({ type, providerRef, failureReason }) {
+    const rawBody = Buffer.from(
+      JSON.stringify({
+        id: `evt_${crypto.randomUUID()}`,
+        type,
+        data: { reference: providerRef, failureReason },
+      })
+    );
+    return { rawBody, headers: { "x-fake-signature": sign(rawBody) } };
+  },
+};
@@ -1,4 +1,6 @@
 import prisma from "./prisma.js";
+import { formatUnitPrice } from "./receiptService.js";
+import { formatQuantity } from "./unitService.js";
 
 /**
  * Notification Service - Helper to create notifications
@@ -93,6 +95,31 @@ export async function notifyOrderCreated(order, shopOwnerId) {
   });
 }
 
+/**
+ * Describe an order's shipment details, e.g.
+ * "Carrier: LBC. Tracking no.: 123. Expected delivery: October 21, 2026."
+ */
+function describeShipment(order) {
+  const parts = [];
+  if (order.shippingCarrier) parts.push(`Carrier: ${order.shippingCarrier}.`);
+  if (order.trackingNumber)
+    parts.push(`Tracking no.: ${order.trackingNumber}.`);
+  if (order.riderName) parts.push(`Rider: ${order.riderName}.`);
+  if (order.expectedDeliveryAt) {
+    const date = new Date(order.expectedDeliveryAt).toLocaleDateString(
+      "en-PH",
+      {
+        timeZone: "Asia/Manila",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      }
+    );
+    parts.push(`Expected delivery: ${date}.`);
+  }
+  return parts.join(" ");
+}
+
 export async function notifyOrderStatusChanged(order, newStatus) {
   const statusMessages = {
     processing: "Your order is now being processed",
@@ -101,11 +128,235 @@ export async function notifyOrderStatusChanged(order, newStatus) {
     cancelled: "Your order has been cancelled",
   };
 
+  let message =
+    statusMessages[newStatus] || `Your order status changed to ${newStatus}`;
+  const shipment = newStatus === "shipped" ? describeShipment(order) : "";
+  if (shipment) message += `. ${shipment}`;
+
   await notifyUser(order.userId, {
     type: "order",
     title: `Order ${newStatus.charAt(0).toUpperCase() + newStatus.slice(1)}`,
-    message:
-      statusMessages[newStatus] || `Your order status changed to ${newStatus}`,
+    message,
+    link: `/profile/orders`,
+  });
+}
+
+/**
+ * Tell a buyer about several of their orders changing status at once
+ * (owner bulk actions), in a single notification
+ */
+export async function notifyOrdersStatusChanged(
+  userId,
+  orders,
+  newStatus,
+  { reason, note } = {}
+) {
+  const refs = orders.map((order) => `#${order.id.slice(-8)}`).join(", ");
+  const [noun, isAre, hasHave] =
+    orders.length === 1 ? ["order", "is", "has"] : ["orders", "are", "have"];
+
+  const statusMessages = {
+    processing: `Your ${noun} ${refs} ${isAre} now being processed`,
+    shipped: `Your ${noun} ${refs} ${hasHave} been shipped`,
+    delivered: `Your ${noun} ${refs} ${hasHave} been delivered`,
+    cancelled: `Your ${noun} ${refs} ${hasHave} been cancelled by the shop`,
+  };
+
+  let message =
+    statusMessages[newStatus] ||
+    `Your ${noun} ${refs} changed status to ${newStatus}`;
+  if (newStatus === "cancelled" && reason) {
+    message += note ? `. Reason: ${reason} - ${note}` : `. Reason: ${reason}`;
+  }
+  const shipment = newStatus === "shipped" ? describeShipment(orders[0]) : "";
+  if (shipment) message += `. ${shipment}`;
+  const refunded = orders.filter(
+    (order) => order.paymentStatus === "refund_pending"
+  );
+  if (newStatus === "cancelled" && refunded.length > 0) {
+    const refundRefs = refunded.map((order) => `#${order.id.slice(-8)}`);
+    message += `. Payments for ${refundRefs.join(", ")} will be refunded`;
+  }
+
+  await notifyUser(userId, {
+    type: "order",
+    title: `Order ${newStatus.charAt(0).toUpperCase() + newStatus.slice(1)}`,
+    message,
+    link: `/profile/orders`,
+  });
+}
+
+export async function notifyShipmentUpdated(order) {
+  await notifyUser(order.userId, {
+    type: "order",
+    title: "Shipment Details Updated",
+    message: `Shipment details for order #${order.id.slice(
+      -8
+    )} were updated. ${describeShipment(order)}`,
+    link: `/profile/orders`,
+  });
+}
+
+export async function notifyOrderCompleted(order, shopOwnerId, { automatic }) {
+  if (shopOwnerId) {
+    await notifyOwner(shopOwnerId, {
+      type: "order",
+      title: "Order Completed",
+      message: automatic
+        ? `Order #${order.id.slice(
+            -6
+          )} was automatically confirmed after delivery. Receipt: ${
+            order.receiptNumber
+          }`
+        : `Order #${order.id.slice(
+            -6
+          )} has been confirmed by the customer. Receipt: ${
+            order.receiptNumber
+          }`,
+      link: "/orders",
+    });
+  }
+
+  if (automatic) {
+    await notifyUser(order.userId, {
+      type: "order",
+      title: "Order Completed",
+      message: `Your order #${order.id.slice(
+        -8
+      )} was automatically confirmed. Receipt: ${order.receiptNumber}`,
+      link: `/profile/orders`,
+    });
+  }
+}
+
+export async function notifyAutoCompleteReminder(order, autoCompleteAt) {
+  const date = new Date(autoCompleteAt).toLocaleDateString("en-PH", {
+    timeZone: "Asia/Manila",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+  await notifyUser(order.userId, {
+    type: "order",
+    title: "Please Confirm Your Order",
+    message: `Order #${order.id.slice(
+      -8
+    )} will be automatically confirmed on ${date}. Confirm it now or request a return if something is wrong.`,
+    link: `/profile/orders`,
+  });
+}
+
+export async function notifyOrderCancelled(
+  order,
+  shopOwnerId,
+  { cancelledBy, reason, note, refundPending = false }
+) {
+  const orderRef = `#${order.id.slice(-8)}`;
+  const details = note ? `Reason: ${reason} - ${note}` : `Reason: ${reason}`;
+  const userRefund = refundPending
+    ? ` Your payment of ₱${order.total.toLocaleString()} will be refunded.`
+    : "";
+  const ownerRefund = refundPending
+    ? " The buyer's e-wallet payment needs to be refunded."
+    : "";
+
+  const userMessages = {
+    user: `You cancelled order ${orderRef}.`,
+    owner: `Your order ${orderRef} has been cancelled by the shop.`,
+  };
+  const ownerMessages = {
+    owner: `You cancelled order ${orderRef}. Stock has been restored.`,
+    user: `Order ${orderRef} has been cancelled by the customer. Stock has been restored.`,
+  };
+
+  await notifyUser(order.userId, {
+    type: "order",
+    title: "Order Cancelled",
+    message: `${
+      userMessages[cancelledBy] || `Your order ${orderRef} has been cancelled.`
+    } ${details}${userRefund}`,
+    link: `/profile/orders`,
+  });
+
+  if (shopOwnerId) {
+    await notifyOwner(shopOwnerId, {
+      type: "order",
+      title: "Order Cancelled",
+      message: `${
+        ownerMessages[cancelledBy] ||
+        `Order ${orderRef} has been cancelled. Stock has been restored.`
+      } ${details}${ownerRefund}`,
+      link: `/dashboard/orders`,
+    });
+  }
+}
+
+export async function notifyPaymentConfirmed(order, shopOwnerId) {
+  await notifyUser(order.userId, {
+    type: "order",
+    title: "Payment Received",
+    message: `Payment of ₱${order.total.toLocaleString()} for order #${order.id.slice(
+      -8
+    )} has been confirmed.`,
+    link: `/profile/orders`,
+  });
+
+  if (shopOwnerId) {
+    await notifyOwner(shopOwnerId, {
+      type: "order",
+      title: "Order Paid",
+      message: `Order #${order.id.slice(
+        -8
+      )} has been paid and is ready to ship.`,
+      link: `/dashboard/orders`,
+    });
+  }
+}
+
+export async function notifyPaymentFailed(checkout, reason) {
+  await notifyUser(checkout.userId, {
+    type: "order",
+    title: "Payment Failed",
+    message: `Payment for checkout #${checkout.id.slice(
+      -8
+    )} did not go through${
+      reason ? ` (${reason})` : ""
+    }. Please try paying again.`,
+    link: `/profile/orders`,
+  });
+}
+
+export async function notifyReturnRequested(returnRequest, shopOwnerId) {
+  await notifyOwner(shopOwnerId, {
+    type: "order",
+    title: "New Return Request",
+    message: `Return requested for ${formatQuantity(
+      returnRequest.quantity,
+      returnRequest.orderItem?.unit
+    )} from order #${returnRequest.orderId.slice(-8)}`,
+    link: `/dashboard/returns`,
+  });
+}
+
+export async function notifyReturnStatusChanged(returnRequest, newStatus) {
+  const statusMessages = {
+    approved:
+      "Your return request has been approved. Please send the item back to the shop.",
+    rejected: "Your return request has been declined.",
+    refunded: `Your returned item has been received. A refund of ₱${returnRequest.refund?.amount.toLocaleString()} has been issued.`,
+  };
+
+  const note = returnRequest.responseNote
+    ? ` Note: ${returnRequest.responseNote}`
+    : "";
+
+  await notifyUser(returnRequest.userId, {
+    type: "order",
+    title: `Return ${newStatus.charAt(0).toUpperCase() + newStatus.slice(1)}`,
+    message: `${
+      statusMessages[newStatus] || `Your return status changed to ${newStatus}`
+    }${note}`,
     link: `/profile/orders`,
   });
 }
@@ -114,15 +365,21 @@ export async function notifyOfferReceived(offer, shopOwnerId) {
   await notifyOwner(shopOwnerId, {
     type: "offer",
     title: "New Sell Offer",
-    message: `New offer received for ${offer.quantity} units of "${offer.product?.name}"`,
+    message: `New offer received for ${formatQuantity(
+      offer.quantity,
+      offer.unit
+    )} of "${offer.product?.name}"`,
     link: `/dashboard/orders`,
   });
 }
 
 export async function notifyOfferStatusChanged(offer, newStatus) {
+  const price =
+    offer.agreedPrice != null
+      ? ` at ${formatUnitPrice(offer.agreedPrice, offer.unit)}`
+      : "";
   const statusMessages = {
-    accepted:
-      "Your sell offer has been accepted! The shop will contact you soon.",
+    accepted: `Your sell offer has been accepted${price}! The shop will contact you soon.`,
     rejected: "Your sell offer has been declined.",
     pending: "Your sell offer status has been reverted to pending.",
   };
@@ -135,6 +392,121 @@ export async function notifyOfferStatusChanged(offer, newStatus) {
   });
 }
 
+/**
+ * Tell the other side about a new counter-offer
+ */
+export async function notifyOfferCountered(offer, shopOwnerId) {
+  const terms = `${formatQuantity(offer.quantity, offer.unit)} of "${
+    offer.product?.name
+  }" at ${formatUnitPrice(offer.unitPrice, offer.unit)}`;
+
+  if (offer.lastProposedBy === "owner") {
+    await notifyUser(offer.userId, {
+      type: "offer",
+      title: "Counter-Offer Received",
+      message: `The shop countered your sell offer: ${terms}.`,
+      link: `/profile/orders`,
+    });
+  } else if (shopOwnerId) {
+    await notifyOwner(shopOwnerId, {
+      type: "offer",
+      title: "Counter-Offer Received",
+      message: `The seller countered with ${terms}.`,
+      link: `/dashboard/orders`,
+    });
+  }
+}
+
+/**
+ * Tell the shop owner the seller accepted or withdrew from a negotiation
+ */
+export async function notifyOfferSellerResponse(offer, shopOwnerId, status) {
+  const messages = {
+    accepted: `The seller accepted your price of ${formatUnitPrice(
+      offer.agreedPrice,
+      offer.unit
+    )} for ${formatQuantity(offer.quantity, offer.unit)} of "${
+      offer.product?.name
+    }".`,
+    withdrawn: `The seller withdrew their offer for "${offer.product?.name}".`,
+  };
+
+  await notifyOwner(shopOwnerId, {
+    type: "offer",
+    title: status === "accepted" ? "Offer Accepted" : "Offer Withdrawn",
+    message: messages[status],
+    link: `/dashboard/orders`,
+  });
+}
+
+/**
+ * Tell the seller their items were received and paid for
+ */
+export async function notifyPurchaseRecorded(purchase, offer) {
+  await notifyUser(purchase.userId, {
+    type: "offer",
+    title: "Items Received",
+    message: `The shop received ${formatQuantity(
+      purchase.quantity,
+      offer.unit
+    )} of "${
+      offer.product?.name
+    }" and paid you ₱${purchase.amountPaid.toLocaleString()}. Receipt ${
+      purchase.receiptNumber
+    } is ready to download.`,
+    link: `/profile/orders`,
+  });
+}
+
+/**
+ * Ask the seller to confirm or dispute the shop's recorded quantity
+ */
+export async function notifyPurchaseAdjusted(purchase, offer) {
+  const weighed = purchase.weighedUnit
+    ? ` (weighed ${formatQuantity(
+        purchase.weighedQuantity,
+        purchase.weighedUnit
+      )})`
+    : "";
+
+  const received = formatQuantity(purchase.quantity, offer.unit);
+  const claimed = formatQuantity(purchase.claimedQuantity, offer.unit);
+
+  await notifyUser(purchase.userId, {
+    type: "offer",
+    title: "Please Confirm Received Quantity",
+    message: `The shop recorded ${received}${weighed} instead of ${claimed} for "${
+      offer.product?.name
+    }", paying ₱${purchase.amountPaid.toLocaleString()}. Please confirm or dispute the adjustment.`,
+    link: `/profile/orders`,
+  });
+}
+
+/**
+ * Tell the shop owner whether the seller confirmed or disputed a purchase
+ */
+export async function notifyPurchaseSellerResponse(
+  purchase,
+  offer,
+  shopOwnerId
+) {
+  const confirmed = purchase.status === "confirmed";
+
+  await notifyOwner(shopOwnerId, {
+    type: "offer",
+    title: confirmed ? "Purchase Confirmed" : "Purchase Disputed",
+    message: confirmed
+      ? `The seller confirmed ${formatQuantity(
+          purchase.quantity,
+          offer.unit
+        )} of "${
+          offer.product?.name
+        }" for ₱${purchase.amountPaid.toLocaleString()}. Stock has been updated.`
+      : `The seller disputed the recorded quantity for "${offer.product?.name}": ${purchase.disputeReason}`,
+    link: `/dashboard/orders`,
+  });
+}
+
 export async function notifyOwnerApproved(ownerId, approved) {
   await notifyOwner(ownerId, {
     type: "approval",
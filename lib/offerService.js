@@ -0,0 +1,421 @@
+import prisma from "./prisma.js";
+import {
+  notifyOfferCountered,
+  notifyOfferSellerResponse,
+  notifyOfferStatusChanged,
+  notifyPurchaseAdjusted,
+  notifyPurchaseRecorded,
+  notifyPurchaseSellerResponse,
+} from "./notificationService.js";
+import { allocateReceiptNumber } from "./receiptService.js";
+import {
+  PRODUCT_UNITS,
+  WEIGHT_UNITS,
+  convertQuantity,
+  isValidQuantity,
+  quantityError,
+} from "./unitService.js";
+
+/**
+ * Offer Service - Price negotiation on sell offers.
+ *
+ * The seller ("user") opens an offer with a price per unit of the product
+ * (e.g. per kg); the shop ("owner")
+ * and the seller then take turns posting counter-offers, each kept as a
+ * numbered OfferRound. Either side can accept the other side's latest
+ * proposal, which locks it in as the offer's agreedPrice. Once the shop
+ * receives the items it records a Purchase; when the received quantity
+ * differs from the offer, the seller confirms or disputes it before the
+ * offer is settled.
+ */
+
+/**
+ * Include used when returning an offer from the negotiation functions
+ */
+export const OFFER_INCLUDE = {
+  user: {
+    select: { id: true, firstName: true, lastName: true },
+  },
+  product: {
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      unit: true,
+      shop: { select: { id: true, name: true, ownerId: true } },
+    },
+  },
+  rounds: {
+    orderBy: { version: "asc" },
+  },
+  purchase: true,
+};
+
+/**
+ * Reject actions on offers that are no longer being negotiated, and actions
+ * by the side whose proposal is on the table
+ */
+function assertTurn(offer, role, action) {
+  if (offer.status !== "pending") {
+    const error = new Error(
+      `Cannot ${action} an offer that is ${offer.status}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (offer.lastProposedBy === role) {
+    const error = new Error(
+      `Cannot ${action} your own proposal; waiting for the other side`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Apply an update only if the offer is still at the round it was read at,
+ * so two concurrent responses cannot both succeed
+ */
+async function updateOfferRound(tx, offer, data) {
+  const { count } = await tx.offer.updateMany({
+    where: { id: offer.id, status: "pending", version: offer.version },
+    data,
+  });
+
+  if (count === 0) {
+    const error = new Error("Offer was changed by another request");
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
+/**
+ * Post a counter-offer and notify the other side
+ * @param {object} offer - Offer as currently read
+ * @param {object} actor - { role: "user" | "owner", id }
+ * @param {object} proposal - { unitPrice, quantity, message }; quantity
+ *   defaults to the offer's current quantity
+ * @returns {Promise<object>} Updated offer with its rounds
+ */
+export async function counterOffer(offer, actor, proposal) {
+  assertTurn(offer, actor.role, "counter");
+
+  const unitPrice = parseFloat(proposal.unitPrice);
+  const quantity =
+    proposal.quantity != null ? parseFloat(proposal.quantity) : offer.quantity;
+  if (!isValidQuantity(quantity, offer.unit)) {
+    const error = new Error(quantityError(offer.unit));
+    error.statusCode = 400;
+    throw error;
+  }
+  const version = offer.version + 1;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await updateOfferRound(tx, offer, {
+      unitPrice,
+      quantity,
+      version,
+      lastProposedBy: actor.role,
+    });
+
+    await tx.offerRound.create({
+      data: {
+        offerId: offer.id,
+        version,
+        proposedBy: actor.role,
+        actorId: actor.id,
+        unitPrice,
+        quantity,
+        message: proposal.message || null,
+      },
+    });
+
+    return tx.offer.findUnique({
+      where: { id: offer.id },
+      include: OFFER_INCLUDE,
+    });
+  });
+
+  await notifyOfferCountered(updated, updated.product.shop.ownerId);
+
+  return updated;
+}
+
+/**
+ * Accept the other side's latest proposal, locking in its unit price, and
+ * notify the other side
+ * @param {object} offer - Offer as currently read
+ * @param {object} actor - { role: "user" | "owner", id }
+ * @returns {Promise<object>} Updated offer with its rounds
+ */
+export async function acceptOffer(offer, actor) {
+  assertTurn(offer, actor.role, "accept");
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await updateOfferRound(tx, offer, {
+      status: "accepted",
+      agreedPrice: offer.unitPrice,
+      acceptedAt: new Date(),
+    });
+
+    return tx.offer.findUnique({
+      where: { id: offer.id },
+      include: OFFER_INCLUDE,
+    });
+  });
+
+  if (actor.role === "owner") {
+    await notifyOfferStatusChanged(updated, "accepted");
+  } else {
+    await notifyOfferSellerResponse(
+      updated,
+      updated.product.shop.ownerId,
+      "accepted"
+    );
+  }
+
+  return updated;
+}
+
+/**
+ * Complete a purchase: the offer is settled, the received quantity goes into
+ * the Buying product's stock and the purchase receipt number is allocated.
+ * Runs inside the transaction that confirms the purchase.
+ */
+async function settlePurchase(tx, offer, purchase, now) {
+  const { count } = await tx.offer.updateMany({
+    where: { id: offer.id, status: "accepted" },
+    data: { status: "completed" },
+  });
+
+  if (count === 0) {
+    const error = new Error("Offer was changed by another request");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await tx.product.update({
+    where: { id: offer.productId },
+    data: { stock: { increment: purchase.quantity } },
+  });
+
+  return tx.purchase.update({
+    where: { id: purchase.id },
+    data: {
+      status: "confirmed",
+      receiptNumber: await allocateReceiptNumber(tx, now, "PUR"),
+      confirmedAt: now,
+    },
+  });
+}
+
+/**
+ * Record what the shop received for an accepted offer. A weighed quantity
+ * (with its unit and an optional scale photo) is converted to the offer's
+ * unit and the payout is recomputed from the agreed price. If the quantity or
+ * payout differs from what was agreed, the seller must confirm the adjustment
+ * first; otherwise the purchase is settled right away. After a dispute the shop can
+ * record it again (e.g. after re-weighing).
+ * Expects the offer to include OFFER_INCLUDE.
+ * @param {object} offer - Accepted offer
+ * @param {object} actor - { role, id } of the owner recording it
+ * @param {object} details - { quantity, weighedUnit, scalePhoto, amountPaid,
+ *   note }; amountPaid defaults to the quantity at the agreed price
+ * @returns {Promise<object>} Purchase ("pending" or "confirmed")
+ */
+export async function recordPurchase(offer, actor, details) {
+  if (offer.status !== "accepted") {
+    const error = new Error("Only accepted offers can be received");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (offer.purchase?.status === "pending") {
+    const error = new Error(
+      "Waiting for the seller to confirm the recorded quantity"
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { weighedUnit } = details;
+  if (weighedUnit) {
+    // A scale reading only converts to units of weight (kg or g)
+    if (!WEIGHT_UNITS.includes(weighedUnit) || !PRODUCT_UNITS[offer.unit]?.kg) {
+      const error = new Error(
+        `This offer is in ${offer.unit}, so it can't be recorded as a weight in ${weighedUnit}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!isValidQuantity(details.quantity, weighedUnit)) {
+      const error = new Error(quantityError(weighedUnit));
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const weighedQuantity = weighedUnit ? parseFloat(details.quantity) : null;
+  const quantity = weighedUnit
+    ? convertQuantity(weighedQuantity, weighedUnit, offer.unit)
+    : parseFloat(details.quantity);
+
+  if (!isValidQuantity(quantity, offer.unit)) {
+    const error = new Error(quantityError(offer.unit));
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let amountPaid;
+  if (details.amountPaid != null) {
+    amountPaid = parseFloat(details.amountPaid);
+  } else if (offer.agreedPrice != null) {
+    amountPaid = Math.round(offer.agreedPrice * quantity * 100) / 100;
+  } else {
+    const error = new Error(
+      "Amount paid is required for offers without a price"
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Anything other than the agreed quantity and total needs the seller's OK
+  const adjusted =
+    quantity !== offer.quantity ||
+    (offer.agreedPrice != null &&
+      amountPaid !==
+        Math.round(offer.agreedPrice * offer.quantity * 100) / 100);
+
+  const data = {
+    quantity,
+    claimedQuantity: offer.quantity,
+    weighedQuantity,
+    weighedUnit: weighedUnit || null,
+    scalePhoto: details.scalePhoto || null,
+    unitPrice: offer.agreedPrice,
+    amountPaid,
+    note: details.note || null,
+    recordedById: actor.id,
+    status: adjusted ? "pending" : "confirmed",
+    disputeReason: null,
+  };
+  const now = new Date();
+
+  const purchase = await prisma.$transaction(async (tx) => {
+    let recorded;
+    if (offer.purchase) {
+      // Re-recording replaces a disputed purchase
+      const { count } = await tx.purchase.updateMany({
+        where: { id: offer.purchase.id, status: "disputed" },
+        data,
+      });
+
+      if (count === 0) {
+        const error = new Error("Purchase was changed by another request");
+        error.statusCode = 409;
+        throw error;
+      }
+      recorded = await tx.purchase.findUnique({
+        where: { id: offer.purchase.id },
+      });
+    } else {
+      recorded = await tx.purchase.create({
+        data: {
+          ...data,
+          offerId: offer.id,
+          shopId: offer.product.shop.id,
+          productId: offer.productId,
+          userId: offer.userId,
+        },
+      });
+    }
+
+    return adjusted ? recorded : settlePurchase(tx, offer, recorded, now);
+  });
+
+  if (adjusted) {
+    await notifyPurchaseAdjusted(purchase, offer);
+  } else {
+    await notifyPurchaseRecorded(purchase, offer);
+  }
+
+  return purchase;
+}
+
+/**
+ * Seller confirms the shop's recorded quantity and payout, settling the
+ * purchase. Expects the offer to include OFFER_INCLUDE.
+ * @param {object} offer - Offer with a pending purchase
+ * @returns {Promise<object>} Confirmed purchase
+ */
+export async function confirmPurchase(offer) {
+  if (offer.purchase?.status !== "pending") {
+    const error = new Error("There is no recorded quantity to confirm");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const purchase = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.purchase.updateMany({
+      where: { id: offer.purchase.id, status: "pending" },
+      data: { status: "confirmed" },
+    });
+
+    if (count === 0) {
+      const error = new Error("Purchase was changed by another request");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return settlePurchase(tx, offer, offer.purchase, new Date());
+  });
+
+  await notifyPurchaseRecorded(purchase, offer);
+  await notifyPurchaseSellerResponse(
+    purchase,
+    offer,
+    offer.product.shop.ownerId
+  );
+
+  return purchase;
+}
+
+/**
+ * Seller disputes the shop's recorded quantity or payout; the shop can then
+ * record it again. Expects the offer to include OFFER_INCLUDE.
+ * @param {object} offer - Offer with a pending purchase
+ * @param {string} reason - Why the seller disagrees
+ * @returns {Promise<object>} Disputed purchase
+ */
+export async function disputePurchase(offer, reason) {
+  if (offer.purchase?.status !== "pending") {
+    const error = new Error("There is no recorded quantity to dispute");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { count } = await prisma.purchase.updateMany({
+    where: { id: offer.purchase.id, status: "pending" },
+    data: { status: "disputed", disputeReason: reason },
+  });
+
+  if (count === 0) {
+    const error = new Error("Purchase was changed by another request");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: offer.purchase.id },
+  });
+
+  await notifyPurchaseSellerResponse(
+    purchase,
+    offer,
+    offer.product.shop.ownerId
+  );
+
+  return purchase;
+}
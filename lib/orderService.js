@@ -0,0 +1,648 @@
+import prisma from "./prisma.js";
+import {
+  notifyOrderCreated,
+  notifyOrderCancelled,
+  notifyOrderCompleted,
+} from "./notificationService.js";
+import { allocateReceiptNumber } from "./receiptService.js";
+import {
+  applyVoucher,
+  redeemVoucher,
+  releaseVoucher,
+} from "./voucherService.js";
+import { cancelPendingPayments } from "./paymentService.js";
+import { quoteShipping } from "./shippingService.js";
+import {
+  isValidQuantity,
+  quantityError,
+  roundQuantity,
+} from "./unitService.js";
+
+/**
+ * Order Service - Shared helpers for per-shop fulfillment orders
+ */
+
+/**
+ * Prisma where clause matching orders fulfilled by any of the given shops.
+ * Legacy orders (placed before per-shop split) have no shopId, so they are
+ * matched through their items instead.
+ */
+export function shopOrdersWhere(shopIds) {
+  return {
+    OR: [
+      { shopId: { in: shopIds } },
+      {
+        shopId: null,
+        items: { some: { product: { shopId: { in: shopIds } } } },
+      },
+    ],
+  };
+}
+
+/**
+ * Sort options for the owner orders list
+ */
+export const OWNER_ORDER_SORTS = {
+  newest: { createdAt: "desc" },
+  oldest: { createdAt: "asc" },
+  total_desc: { total: "desc" },
+  total_asc: { total: "asc" },
+  updated: { updatedAt: "desc" },
+};
+
+/**
+ * Parse a date filter. Plain dates (YYYY-MM-DD) are whole days in
+ * Philippine time, so `to` includes the entire day.
+ */
+function parseDateFilter(value, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(value);
+  }
+
+  const date = new Date(`${value}T00:00:00+08:00`);
+  if (endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+/**
+ * Prisma where clause for an owner's order list, without the status filter
+ * so per-status counts can share it.
+ * @param {string[]} shopIds - Shops whose orders to include
+ * @param {object} filters - { from, to, customer, orderId }; customer matches
+ *   name or email, orderId matches any part of the ID (e.g. the short ref)
+ */
+export function ownerOrdersWhere(shopIds, filters = {}) {
+  const { from, to, customer, orderId } = filters;
+  const conditions = [shopOrdersWhere(shopIds)];
+
+  if (from || to) {
+    const createdAt = {};
+    if (from) createdAt.gte = parseDateFilter(from, false);
+    if (to) createdAt.lte = parseDateFilter(to, true);
+    conditions.push({ createdAt });
+  }
+
+  if (customer) {
+    const terms = customer.trim().split(/\s+/);
+    conditions.push({
+      user: {
+        AND: terms.map((term) => ({
+          OR: [
+            { firstName: { contains: term, mode: "insensitive" } },
+            { lastName: { contains: term, mode: "insensitive" } },
+            { email: { contains: term, mode: "insensitive" } },
+          ],
+        })),
+      },
+    });
+  }
+
+  if (orderId) {
+    conditions.push({
+      id: { contains: orderId.trim().replace(/^#/, "").toLowerCase() },
+    });
+  }
+
+  return { AND: conditions };
+}
+
+/**
+ * Get the owner ID responsible for fulfilling an order.
+ * Expects the order to include `shop` and `items.product.shop`.
+ */
+export function getOrderOwnerId(order) {
+  if (order.shop?.ownerId) {
+    return order.shop.ownerId;
+  }
+
+  // Legacy orders: fall back to the first item's shop
+  return order.items?.[0]?.product?.shop?.ownerId || null;
+}
+
+/**
+ * Check whether an owner may manage an order
+ */
+export function isOrderOwner(order, ownerId) {
+  if (order.shop) {
+    return order.shop.ownerId === ownerId;
+  }
+
+  return order.items.some((item) => item.product?.shop?.ownerId === ownerId);
+}
+
+/**
+ * Allowed order status transitions. "completed" and "cancelled" are final.
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+/**
+ * Cancellation reason codes and their display labels
+ */
+export const ORDER_CANCEL_REASONS = {
+  changed_mind: "Changed my mind",
+  ordered_by_mistake: "Ordered by mistake",
+  found_better_price: "Found a better price",
+  out_of_stock: "Item is out of stock",
+  unable_to_fulfill: "Shop is unable to fulfill the order",
+  buyer_unreachable: "Buyer could not be reached",
+  shop_unresponsive: "Shop did not process the order in time",
+  other: "Other",
+};
+
+/**
+ * Fields never returned to buyers; pass as Prisma `omit` on buyer-facing
+ * order queries
+ */
+export const BUYER_ORDER_OMIT = { internalNotes: true };
+
+/**
+ * Statuses of orders still in progress (not completed or cancelled)
+ */
+export const ACTIVE_ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS).filter(
+  (status) => ORDER_TRANSITIONS[status].length > 0
+);
+
+/**
+ * Check whether an order is still in progress
+ */
+export function isOrderActive(order) {
+  return ACTIVE_ORDER_STATUSES.includes(order.status);
+}
+
+/**
+ * Check whether an order may move from one status to another
+ */
+export function canTransitionOrder(fromStatus, toStatus) {
+  return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Move an order to a new status and record it in the status history.
+ * The update only applies if the order is still in the status it was read
+ * with, so two concurrent changes cannot both succeed. Cancelling an order
+ * returns its reserved stock in the same transaction.
+ * @param {object} order - Order as currently read (needs id and status)
+ * @param {string} status - Target status
+ * @param {object} actor - { role, id } of who made the change (req.user works)
+ * @param {object} options - { note, data, include, omit }; `data` may be an
+ *   async function of the transaction client for values allocated in the
+ *   same transaction (e.g. receipt numbers)
+ * @returns {Promise<object>} Updated order
+ */
+export async function updateOrderStatus(order, status, actor, options = {}) {
+  const { note, data = {}, include, omit } = options;
+
+  if (!canTransitionOrder(order.status, status)) {
+    const error = new Error(
+      `Cannot change order status from "${order.status}" to "${status}"`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (
+    status === "shipped" &&
+    order.paymentMethod !== "cod" &&
+    order.paymentStatus !== "paid"
+  ) {
+    const error = new Error(
+      "Prepaid orders can only be shipped once payment is confirmed"
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const extraData = typeof data === "function" ? await data(tx) : data;
+    if (status === "delivered") {
+      extraData.deliveredAt = new Date();
+      // Cash on delivery is collected when the order is handed over
+      if (order.paymentMethod === "cod") {
+        extraData.paymentStatus = "paid";
+        extraData.paidAt = extraData.deliveredAt;
+      }
+    }
+
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: { ...extraData, status },
+    });
+
+    if (count === 0) {
+      const error = new Error("Order status was changed by another request");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await tx.orderStatusHistory.create({
+      data: {
+        orderId: order.id,
+        fromStatus: order.status,
+        toStatus: status,
+        actorRole: actor.role,
+        actorId: actor.id || null,
+        note: note || null,
+      },
+    });
+
+    if (status === "cancelled") {
+      const items = await tx.orderItem.findMany({
+        where: { orderId: order.id },
+        select: { productId: true, quantity: true },
+      });
+      for (const item of items) {
+        await tx.product.update({
+          where: { id: item.productId },
+          data: { stock: { increment: item.quantity } },
+        });
+      }
+
+      // A prepaid order that was already paid is owed back to the buyer
+      await tx.order.updateMany({
+        where: {
+          id: order.id,
+          paymentMethod: { not: "cod" },
+          paymentStatus: "paid",
+        },
+        data: { paymentStatus: "refund_pending" },
+      });
+
+      await releaseVoucher(tx, order);
+    }
+
+    return tx.order.findUnique({ where: { id: order.id }, include, omit });
+  });
+}
+
+/**
+ * Cancel an order, restore its stock and notify both buyer and shop owner.
+ * A paid prepaid order is marked "refund_pending".
+ * Expects the order to include `shop` and `items.product.shop`.
+ * @param {object} order - Order to cancel
+ * @param {object} actor - { role, id } of who cancelled
+ * @param {object} options - { reason, note, data, include, omit, notify };
+ *   `data` holds extra fields to set, and pass `notify: false` when the
+ *   caller sends its own (e.g. batched) notifications
+ * @returns {Promise<object>} Updated order
+ */
+export async function cancelOrder(order, actor, options = {}) {
+  const {
+    reason = "other",
+    note,
+    data,
+    include,
+    omit,
+    notify = true,
+  } = options;
+
+  const updatedOrder = await updateOrderStatus(order, "cancelled", actor, {
+    note,
+    data: {
+      ...data,
+      cancelReason: reason,
+      cancelNote: note || null,
+      cancelledBy: actor.role,
+    },
+    include,
+    omit,
+  });
+
+  // Unfinished payments of the checkout still include this order's amount
+  if (
+    order.paymentMethod === "ewallet" &&
+    order.checkoutId &&
+    updatedOrder.paymentStatus !== "refund_pending"
+  ) {
+    await cancelPendingPayments(order.checkoutId);
+  }
+
+  if (notify) {
+    await notifyOrderCancelled(order, getOrderOwnerId(order), {
+      cancelledBy: actor.role,
+      reason: ORDER_CANCEL_REASONS[reason] || reason,
+      note,
+      refundPending: updatedOrder.paymentStatus === "refund_pending",
+    });
+  }
+
+  return updatedOrder;
+}
+
+/**
+ * Complete a delivered order: allocate its receipt number and notify the
+ * shop owner (and the buyer when it was auto-confirmed).
+ * Expects the order to include `shop` and `items.product.shop`.
+ * @param {object} order - Delivered order
+ * @param {object} actor - { role, id }; role "system" for auto-confirmation
+ * @param {object} options - { include, omit }
+ * @returns {Promise<object>} Updated order
+ */
+export async function completeOrder(order, actor, options = {}) {
+  const now = new Date();
+
+  const updatedOrder = await updateOrderStatus(order, "completed", actor, {
+    note: actor.role === "system" ? "Automatically confirmed" : undefined,
+    data: async (tx) => ({
+      receiptNumber: await allocateReceiptNumber(tx, now),
+      completedAt: now,
+    }),
+    include: options.include,
+    omit: options.omit,
+  });
+
+  await notifyOrderCompleted(updatedOrder, getOrderOwnerId(order), {
+    automatic: actor.role === "system",
+  });
+
+  return updatedOrder;
+}
+
+/**
+ * Pick shipment tracking fields present in a request body
+ */
+export function pickShipmentDetails(body) {
+  const details = {};
+  for (const field of ["shippingCarrier", "trackingNumber", "riderName"]) {
+    if (body[field] !== undefined) details[field] = body[field] || null;
+  }
+  if (body.expectedDeliveryAt !== undefined) {
+    details.expectedDeliveryAt = body.expectedDeliveryAt
+      ? new Date(body.expectedDeliveryAt)
+      : null;
+  }
+  return details;
+}
+
+/**
+ * Build an error rendered as 400 with per-item details by the error handler
+ */
+function insufficientStockError(shortages) {
+  const error = new Error("Insufficient stock for some items");
+  error.name = "ValidationError";
+  error.details = shortages;
+  return error;
+}
+
+/**
+ * Error for items that can't be bought: products that aren't approved, and a
+ * shop's Buying products (its buy rates, stocked from sellers' offers).
+ * Reasons match the cart item issues ("unapproved", "not_for_sale").
+ * @returns {Error|null} Error rendered as 400 with per-item details, or null
+ *   if every product can be bought
+ */
+export function unavailableProductsError(products) {
+  const unavailable = products
+    .filter((p) => p.status !== "approved" || p.type !== "Selling")
+    .map((p) => ({
+      productId: p.id,
+      productName: p.name,
+      reason: p.status !== "approved" ? "unapproved" : "not_for_sale",
+    }));
+
+  if (unavailable.length === 0) return null;
+
+  const error = new Error("Some items are not available for purchase");
+  error.name = "ValidationError";
+  error.details = unavailable;
+  return error;
+}
+
+/**
+ * Place a checkout: reserve stock and create one order per shop atomically.
+ * Stock is decremented conditionally so concurrent buyers cannot oversell;
+ * if any item is short the whole checkout is rolled back. Each shop order
+ * carries its own shipping fee from the shop's rate table.
+ * @param {string} userId - Buyer ID
+ * @param {Array<{productId: string, quantity: number}>} items - Cart lines
+ * @param {object} shipping - { shippingAddress, shippingCity, shippingZip,
+ *   deliveryInstructions }
+ * @param {object} options - { voucherCode, paymentMethod, extra }; `extra`
+ *   runs in the same transaction once the checkout is created
+ * @returns {Promise<object>} Checkout including orders, shops and items
+ */
+export async function createCheckout(userId, items, shipping, options = {}) {
+  const { shippingAddress, shippingCity, shippingZip, deliveryInstructions } =
+    shipping;
+  const { voucherCode, paymentMethod = "cod", extra } = options;
+
+  const checkout = await prisma.$transaction(async (tx) => {
+    // Merge duplicate lines for the same product
+    const quantities = new Map();
+    for (const item of items) {
+      const quantity = parseFloat(item.quantity);
+      quantities.set(
+        item.productId,
+        roundQuantity((quantities.get(item.productId) || 0) + quantity)
+      );
+    }
+
+    // Sorted by ID so concurrent checkouts lock rows in the same order
+    const products = await tx.product.findMany({
+      where: { id: { in: [...quantities.keys()] } },
+      orderBy: { id: "asc" },
+    });
+
+    for (const productId of quantities.keys()) {
+      if (!products.some((p) => p.id === productId)) {
+        const error = new Error(`Product ${productId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    // Checked on the rows read in the transaction, before reserving stock
+    const unavailableError = unavailableProductsError(products);
+    if (unavailableError) throw unavailableError;
+
+    // Counted units (pieces, sacks) can only be ordered whole
+    const invalidQuantities = products
+      .filter((p) => !isValidQuantity(quantities.get(p.id), p.unit))
+      .map((p) => ({
+        productId: p.id,
+        productName: p.name,
+        quantity: quantities.get(p.id),
+        unit: p.unit,
+        error: quantityError(p.unit),
+      }));
+    if (invalidQuantities.length > 0) {
+      const error = new Error("Invalid quantity for some items");
+      error.name = "ValidationError";
+      error.details = invalidQuantities;
+      throw error;
+    }
+
+    // Reserve stock; the update only matches while enough stock remains
+    const shortages = [];
+    for (const product of products) {
+      const quantity = quantities.get(product.id);
+      const { count } = await tx.product.updateMany({
+        where: { id: product.id, stock: { gte: quantity } },
+        data: { stock: { decrement: quantity } },
+      });
+
+      if (count === 0) {
+        const current = await tx.product.findUnique({
+          where: { id: product.id },
+          select: { stock: true },
+        });
+        shortages.push({
+          productId: product.id,
+          productName: product.name,
+          requested: quantity,
+          available: current?.stock ?? 0,
+          unit: product.unit,
+        });
+      }
+    }
+
+    if (shortages.length > 0) {
+      throw insufficientStockError(shortages);
+    }
+
+    // Group lines by shop so each shop gets its own fulfillment order
+    let total = 0;
+    const shopOrders = new Map();
+    const lines = [];
+
+    for (const product of products) {
+      const quantity = quantities.get(product.id);
+      // Decimal quantities can give fractions of a centavo
+      const itemTotal = Math.round(product.price * quantity * 100) / 100;
+      total += itemTotal;
+
+      if (!shopOrders.has(product.shopId)) {
+        shopOrders.set(product.shopId, {
+          shopId: product.shopId,
+          total: 0,
+          weight: 0,
+          items: [],
+        });
+      }
+
+      const shopOrder = shopOrders.get(product.shopId);
+      shopOrder.total += itemTotal;
+      shopOrder.weight += (product.weight || 0) * quantity;
+      shopOrder.items.push({
+        productId: product.id,
+        quantity,
+        unit: product.unit,
+        price: product.price,
+      });
+      lines.push({
+        shopId: product.shopId,
+        category: product.category,
+        amount: itemTotal,
+      });
+    }
+
+    // Checked inside the transaction so usage limits hold under concurrency
+    const applied = voucherCode
+      ? await applyVoucher(tx, voucherCode, userId, lines)
+      : null;
+    const discount = applied?.discount || 0;
+
+    const shippingQuotes = await quoteShipping(
+      tx,
+      [...shopOrders.values()].map((shopOrder) => ({
+        shopId: shopOrder.shopId,
+        subtotal: shopOrder.total,
+        weight: shopOrder.weight,
+      })),
+      { city: shippingCity, zip: shippingZip }
+    );
+    let shippingFee = 0;
+    for (const quote of shippingQuotes.values()) {
+      shippingFee += quote.fee;
+    }
+
+    const created = await tx.checkout.create({
+      data: {
+        userId,
+        total: total - discount + shippingFee,
+        discount,
+        voucherCode: applied?.voucher.code,
+        shippingFee,
+        paymentMethod,
+        shippingAddress,
+        shippingCity,
+        shippingZip,
+        orders: {
+          create: [...shopOrders.values()].map((shopOrder) => {
+            const orderDiscount =
+              applied?.shopDiscounts.get(shopOrder.shopId) || 0;
+            const orderShippingFee = shippingQuotes.get(shopOrder.shopId).fee;
+            return {
+              userId,
+              shopId: shopOrder.shopId,
+              total: shopOrder.total - orderDiscount + orderShippingFee,
+              discount: orderDiscount,
+              voucherCode: orderDiscount > 0 ? applied.voucher.code : null,
+              shippingFee: orderShippingFee,
+              paymentMethod,
+              shippingAddress,
+              shippingCity,
+              shippingZip,
+              deliveryInstructions: deliveryInstructions || null,
+              items: {
+                create: shopOrder.items,
+              },
+              statusHistory: {
+                create: {
+                  toStatus: "pending",
+                  actorRole: "user",
+                  actorId: userId,
+                },
+              },
+            };
+          }),
+        },
+      },
+      include: {
+        orders: {
+          omit: BUYER_ORDER_OMIT,
+          include: {
+            shop: {
+              select: { id: true, name: true, ownerId: true },
+            },
+            items: {
+              include: {
+                product: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (applied) {
+      await redeemVoucher(tx, applied.voucher, {
+        userId,
+        checkoutId: created.id,
+        amount: discount,
+      });
+    }
+
+    if (extra) {
+      await extra(tx);
+    }
+
+    return created;
+  });
+
+  // Notify each shop owner about their order
+  for (const order of checkout.orders) {
+    await notifyOrderCreated(order, order.shop.ownerId);
+  }
+
+  return checkout;
+}
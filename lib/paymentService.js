@@ -0,0 +1,302 @@
+import prisma from "./prisma.js";
+import { config } from "../config/index.js";
+import { fakePaymentProvider } from "./fakePaymentProvider.js";
+import {
+  notifyPaymentConfirmed,
+  notifyPaymentFailed,
+} from "./notificationService.js";
+
+/**
+ * Payment Service - Cash on delivery and prepaid e-wallet payments.
+ *
+ * E-wallet providers implement:
+ *   name                                 - Key used in webhook URLs
+ *   createIntent({ intentId, amount, currency, description })
+ *                                        - Resolves { providerRef, checkoutUrl }
+ *   verifyWebhook(rawBody, headers)      - Returns { id, type, providerRef,
+ *                                          failureReason, payload } or throws
+ *                                          401 for a bad signature
+ *   cancelIntent(providerRef)            - Stops a payment that hasn't been
+ *                                          completed; throws if it can't be
+ * Webhook event types are "payment.succeeded" and "payment.failed".
+ */
+
+export const PAYMENT_METHODS = ["cod", "ewallet"];
+
+const PROVIDERS = {
+  [fakePaymentProvider.name]: fakePaymentProvider,
+};
+
+/**
+ * Whether e-wallet payments can be taken: a registered provider and the
+ * webhook secret are configured. The fake provider's payment pages only
+ * exist outside production, so it doesn't count there.
+ */
+export function isEwalletAvailable() {
+  const provider = PROVIDERS[config.paymentProvider];
+  if (!provider || !config.paymentWebhookSecret) return false;
+  return !(provider === fakePaymentProvider && config.nodeEnv === "production");
+}
+
+/**
+ * Get a registered provider (defaults to the configured one)
+ */
+export function getPaymentProvider(name = config.paymentProvider) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    const error = new Error(`Unknown payment provider "${name}"`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * Cancel a checkout's unfinished payment attempts so only the newest one can
+ * be paid. An attempt the provider won't cancel may still go through, so no
+ * new one is started until it settles.
+ */
+async function supersedePendingIntents(checkoutId) {
+  const pending = await prisma.paymentIntent.findMany({
+    where: { checkoutId, status: "pending" },
+  });
+
+  for (const intent of pending) {
+    if (intent.providerRef) {
+      try {
+        await getPaymentProvider(intent.provider).cancelIntent(
+          intent.providerRef
+        );
+      } catch (error) {
+        console.error(`Failed to cancel payment ${intent.id}:`, error);
+        const conflict = new Error(
+          "A previous payment for this checkout is still being processed"
+        );
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+    }
+
+    await prisma.paymentIntent.updateMany({
+      where: { id: intent.id, status: "pending" },
+      data: { status: "superseded" },
+    });
+  }
+}
+
+/**
+ * Cancel a checkout's unfinished payments after one of its unpaid orders was
+ * cancelled, since they still ask for that order's amount. The buyer starts
+ * a new payment for the rest. Best effort: a payment that goes through anyway
+ * flags the cancelled order for a refund (see handlePaymentWebhook).
+ * @param {string} checkoutId - Checkout of the cancelled order
+ */
+export async function cancelPendingPayments(checkoutId) {
+  try {
+    await supersedePendingIntents(checkoutId);
+  } catch (error) {
+    console.error(
+      `Failed to cancel pending payments of checkout ${checkoutId}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Start an e-wallet payment for the unpaid, uncancelled orders of a checkout,
+ * superseding any earlier unfinished attempt.
+ * Expects the checkout to include `orders`.
+ * @param {object} checkout - Checkout paid by e-wallet
+ * @returns {Promise<object>} Payment intent with the provider's checkoutUrl
+ */
+export async function createPaymentIntent(checkout) {
+  if (checkout.paymentMethod !== "ewallet") {
+    const error = new Error("This checkout is paid cash on delivery");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!isEwalletAvailable()) {
+    const error = new Error("E-wallet payments are not available right now");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const payable = checkout.orders.filter(
+    (order) => order.status !== "cancelled" && order.paymentStatus !== "paid"
+  );
+  if (payable.length === 0) {
+    const error = new Error("Nothing left to pay for this checkout");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await supersedePendingIntents(checkout.id);
+
+  const provider = getPaymentProvider();
+  const amount = payable.reduce((sum, order) => sum + order.total, 0);
+
+  const intent = await prisma.paymentIntent.create({
+    data: { checkoutId: checkout.id, provider: provider.name, amount },
+  });
+
+  let created;
+  try {
+    created = await provider.createIntent({
+      intentId: intent.id,
+      amount,
+      currency: intent.currency,
+      description: `JunkHub checkout #${checkout.id.slice(-8).toUpperCase()}`,
+    });
+  } catch (error) {
+    await prisma.paymentIntent.update({
+      where: { id: intent.id },
+      data: { status: "failed", failureReason: error.message },
+    });
+    throw error;
+  }
+
+  return prisma.paymentIntent.update({
+    where: { id: intent.id },
+    data: {
+      providerRef: created.providerRef,
+      checkoutUrl: created.checkoutUrl,
+    },
+  });
+}
+
+/**
+ * Start the payment of a checkout that was just placed. The checkout is
+ * already committed, so a provider failure doesn't fail the request (a retry
+ * would place it again); the buyer retries the payment through
+ * POST /api/payments/checkouts/:checkoutId/intent instead.
+ * @param {object} checkout - New checkout with its `orders`
+ * @returns {Promise<object|null>} Payment intent, or null for cash on
+ *   delivery or when the provider couldn't be reached
+ */
+export async function startCheckoutPayment(checkout) {
+  if (checkout.paymentMethod !== "ewallet") return null;
+
+  try {
+    return await createPaymentIntent(checkout);
+  } catch (error) {
+    console.error(
+      `Failed to start payment for checkout ${checkout.id}:`,
+      error
+    );
+    return null;
+  }
+}
+
+/**
+ * Verify and apply a provider webhook. Each event is recorded in the same
+ * transaction as its effects, so provider retries are applied only once.
+ * @param {string} providerName - Provider key from the webhook URL
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {object} headers - Request headers
+ * @returns {Promise<object>} { received: true, duplicate? }
+ */
+export async function handlePaymentWebhook(providerName, rawBody, headers) {
+  if (!config.paymentWebhookSecret) {
+    const error = new Error("Payment webhooks are not configured");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const provider = getPaymentProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+
+  const intent = await prisma.paymentIntent.findUnique({
+    where: { providerRef: event.providerRef },
+  });
+  if (!intent) {
+    const error = new Error("Payment not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const succeeded = event.type === "payment.succeeded";
+  const failed = event.type === "payment.failed";
+
+  let applied;
+  try {
+    applied = await prisma.$transaction(async (tx) => {
+      await tx.paymentEvent.create({
+        data: {
+          id: `${provider.name}:${event.id}`,
+          provider: provider.name,
+          type: event.type,
+          payload: event.payload,
+        },
+      });
+
+      if (!succeeded && !failed) return false;
+
+      const { count } = await tx.paymentIntent.updateMany({
+        where: { id: intent.id, status: "pending" },
+        data: succeeded
+          ? { status: "succeeded" }
+          : { status: "failed", failureReason: event.failureReason || null },
+      });
+      if (count === 0) return false;
+
+      await tx.order.updateMany({
+        where: {
+          checkoutId: intent.checkoutId,
+          status: { not: "cancelled" },
+          paymentStatus: { in: ["pending", "failed"] },
+        },
+        data: succeeded
+          ? { paymentStatus: "paid", paidAt: new Date() }
+          : { paymentStatus: "failed" },
+      });
+
+      // Orders cancelled after this payment was started were still in its
+      // amount, so their share was collected and is owed back
+      if (succeeded) {
+        await tx.order.updateMany({
+          where: {
+            checkoutId: intent.checkoutId,
+            status: "cancelled",
+            paymentStatus: { in: ["pending", "failed"] },
+            statusHistory: {
+              some: {
+                toStatus: "cancelled",
+                createdAt: { gte: intent.createdAt },
+              },
+            },
+          },
+          data: { paymentStatus: "refund_pending", paidAt: new Date() },
+        });
+      }
+      return true;
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return { received: true, duplicate: true };
+    }
+    throw error;
+  }
+
+  if (applied) {
+    const checkout = await prisma.checkout.findUnique({
+      where: { id: intent.checkoutId },
+      include: {
+        orders: {
+          where: { status: { not: "cancelled" } },
+          include: { shop: { select: { ownerId: true } } },
+        },
+      },
+    });
+
+    if (succeeded) {
+      for (const order of checkout.orders) {
+        await notifyPaymentConfirmed(order, order.shop?.ownerId);
+      }
+    } else {
+      await notifyPaymentFailed(checkout, event.failureReason);
+    }
+  }
+
+  return { received: true };
+}
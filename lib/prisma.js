@@ -1,5 +1,34 @@
 import { PrismaClient } from "@prisma/client";
 
-const prisma = new PrismaClient();
+/**
+ * Quantity columns, per model. They're stored as Decimal so stock increments
+ * and decrements stay exact, and read back as plain numbers.
+ */
+const QUANTITY_FIELDS = {
+  product: ["stock"],
+  cartItem: ["quantity"],
+  orderItem: ["quantity", "returnedQuantity"],
+  returnRequest: ["quantity"],
+  offer: ["quantity"],
+  offerRound: ["quantity"],
+  purchase: ["quantity", "claimedQuantity", "weighedQuantity"],
+};
+
+function quantitiesAsNumbers() {
+  const result = {};
+  for (const [model, fields] of Object.entries(QUANTITY_FIELDS)) {
+    result[model] = {};
+    for (const field of fields) {
+      result[model][field] = {
+        needs: { [field]: true },
+        compute: (record) =>
+          record[field] == null ? record[field] : Number(record[field]),
+      };
+    }
+  }
+  return result;
+}
+
+const prisma = new PrismaClient().$extends({ result: quantitiesAsNumbers() });
 
 export default prisma;
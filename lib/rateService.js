@@ -0,0 +1,160 @@
+import prisma from "./prisma.js";
+
+/**
+ * Rate Service - Shop price boards. A shop's approved Buying products are its
+ * buy-rate list; every rate an owner sets is kept as a BuyRate so sellers can
+ * see how rates moved over time.
+ */
+
+export const RATE_HISTORY_DEFAULT_DAYS = 90;
+export const RATE_HISTORY_MAX_DAYS = 365;
+
+// Products shown on a shop's public price board
+function boardProductsWhere(shopId) {
+  return { shopId, type: "Buying", status: "approved" };
+}
+
+const BOARD_PRODUCT_SELECT = {
+  id: true,
+  name: true,
+  category: true,
+  unit: true,
+  price: true,
+  images: true,
+};
+
+/**
+ * Record a product's buy rate when it is first set or changes: on creating a
+ * Buying product, changing its price or unit, or turning it into a Buying
+ * product. Pass the transaction the product was saved in.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} product - Product as saved
+ * @param {object|null} previous - Product before the update (null on create)
+ * @param {string} changedById - Owner who saved the product
+ * @returns {Promise<object|null>} Recorded rate, or null if unchanged
+ */
+export async function recordRateChange(tx, product, previous, changedById) {
+  if (product.type !== "Buying") return null;
+
+  const unchanged =
+    previous?.type === "Buying" &&
+    previous.price === product.price &&
+    previous.unit === product.unit;
+  if (unchanged) return null;
+
+  return tx.buyRate.create({
+    data: {
+      productId: product.id,
+      shopId: product.shopId,
+      price: product.price,
+      unit: product.unit,
+      changedById,
+    },
+  });
+}
+
+/**
+ * Current buy rates of a shop, by category and name. Each rate includes when
+ * it was last changed and the rate before it (when in the same unit).
+ */
+export async function getRateBoard(shopId) {
+  const products = await prisma.product.findMany({
+    where: boardProductsWhere(shopId),
+    select: {
+      ...BOARD_PRODUCT_SELECT,
+      updatedAt: true,
+      buyRates: {
+        orderBy: { createdAt: "desc" },
+        take: 2,
+        select: { price: true, unit: true, createdAt: true },
+      },
+    },
+    orderBy: [{ category: "asc" }, { name: "asc" }],
+  });
+
+  return products.map(({ buyRates, updatedAt, ...product }) => {
+    const [latest, before] = buyRates;
+    const previousPrice =
+      before && before.unit === product.unit ? before.price : null;
+
+    return {
+      ...product,
+      // Fallback in case a product has no recorded rate
+      rateUpdatedAt: latest?.createdAt || updatedAt,
+      previousPrice,
+      change:
+        previousPrice != null
+          ? Math.round((product.price - previousPrice) * 100) / 100
+          : null,
+    };
+  });
+}
+
+/**
+ * Rate history of a shop's board products over the last `days` days, one
+ * series per product. Each series starts with the rate in effect at the
+ * start of the window (if it was set before) followed by every change.
+ * @param {string} shopId - Shop ID
+ * @param {object} options - { productId, days }; productId limits the
+ *   history to one product
+ * @returns {Promise<object>} { from, to, series }, or null if productId isn't
+ *   on the shop's board
+ */
+export async function getRateHistory(shopId, options = {}) {
+  const { productId, days = RATE_HISTORY_DEFAULT_DAYS } = options;
+
+  const products = await prisma.product.findMany({
+    where: {
+      ...boardProductsWhere(shopId),
+      ...(productId && { id: productId }),
+    },
+    select: BOARD_PRODUCT_SELECT,
+    orderBy: [{ category: "asc" }, { name: "asc" }],
+  });
+
+  if (productId && products.length === 0) return null;
+
+  const to = new Date();
+  const from = new Date(to);
+  from.setDate(from.getDate() - days);
+  const productIds = products.map((p) => p.id);
+  const rateSelect = {
+    productId: true,
+    price: true,
+    unit: true,
+    createdAt: true,
+  };
+
+  // Latest rate before the window, per product
+  const opening = await prisma.buyRate.findMany({
+    where: { productId: { in: productIds }, createdAt: { lt: from } },
+    orderBy: { createdAt: "desc" },
+    distinct: ["productId"],
+    select: rateSelect,
+  });
+
+  const changes = await prisma.buyRate.findMany({
+    where: { productId: { in: productIds }, createdAt: { gte: from } },
+    orderBy: { createdAt: "asc" },
+    select: rateSelect,
+  });
+
+  const series = products.map(({ images, price, ...product }) => {
+    const start = opening.find((rate) => rate.productId === product.id);
+    const points = changes
+      .filter((rate) => rate.productId === product.id)
+      .map((rate) => ({
+        price: rate.price,
+        unit: rate.unit,
+        at: rate.createdAt,
+      }));
+
+    if (start) {
+      points.unshift({ price: start.price, unit: start.unit, at: from });
+    }
+
+    return { ...product, currentPrice: price, points };
+  });
+
+  return { from, to, series };
+}
@@ -0,0 +1,325 @@
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+import { DEFAULT_UNIT, formatQuantity } from "./unitService.js";
+
+/**
+ * Receipt Service - Receipt numbering and PDF receipts for completed orders
+ * and for shop purchases from sellers
+ */
+
+// The built-in PDF fonts have no peso sign, so embed DejaVu Sans
+const require = createRequire(import.meta.url);
+const FONT_REGULAR = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf");
+const FONT_BOLD = require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf");
+
+const shopSelect = { name: true, businessAddress: true, ownerId: true };
+
+/**
+ * Include needed on an order to render its receipt
+ */
+export const RECEIPT_ORDER_INCLUDE = {
+  shop: { select: shopSelect },
+  user: { select: { firstName: true, lastName: true } },
+  items: {
+    include: {
+      product: {
+        select: { name: true, shop: { select: shopSelect } },
+      },
+    },
+  },
+};
+
+/**
+ * Allocate the next receipt number for the day: RCP-YYYYMMDD-000001.
+ * Must run inside the transaction that stores the number on the order so a
+ * rolled back completion gives the number back and the sequence has no gaps.
+ * @param {object} tx - Prisma transaction client
+ * @param {Date} date - Completion date
+ * @param {string} prefix - "RCP" for orders, "PUR" for purchases; each
+ *   prefix has its own sequence
+ * @returns {Promise<string>} Receipt number
+ */
+export async function allocateReceiptNumber(
+  tx,
+  date = new Date(),
+  prefix = "RCP"
+) {
+  // en-CA formats as YYYY-MM-DD
+  const day = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Manila" })
+    .format(date)
+    .replace(/-/g, "");
+  // Order receipts keep the plain date key they have always used
+  const key = prefix === "RCP" ? day : `${prefix}-${day}`;
+
+  const sequence = await tx.receiptSequence.upsert({
+    where: { date: key },
+    create: { date: key, lastValue: 1 },
+    update: { lastValue: { increment: 1 } },
+  });
+
+  return `${prefix}-${day}-${String(sequence.lastValue).padStart(6, "0")}`;
+}
+
+/**
+ * Format an amount in Philippine pesos (e.g. ₱1,234.50)
+ */
+export function formatPeso(amount) {
+  return `₱${amount.toLocaleString("en-PH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+/**
+ * Format a price per unit (e.g. ₱120.00/kg)
+ */
+export function formatUnitPrice(price, unit = DEFAULT_UNIT) {
+  return `${formatPeso(price)}/${unit}`;
+}
+
+/**
+ * Create a PDF receipt for a completed order.
+ * Expects the order to include RECEIPT_ORDER_INCLUDE.
+ * @param {object} order - Completed order with receiptNumber
+ * @returns {PDFDocument} Readable PDF stream (already ended)
+ */
+export function createReceiptPdf(order) {
+  // Legacy orders have no shop of their own; use the first item's shop
+  const shop = order.shop || order.items[0]?.product?.shop;
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.registerFont("Regular", FONT_REGULAR);
+  doc.registerFont("Bold", FONT_BOLD);
+
+  // Shop header
+  doc
+    .font("Bold")
+    .fontSize(18)
+    .text(shop?.name || "JunkHub", { align: "center" });
+  if (shop?.businessAddress) {
+    doc
+      .font("Regular")
+      .fontSize(10)
+      .text(shop.businessAddress, { align: "center" });
+  }
+  doc.moveDown(1.5);
+  doc.font("Bold").fontSize(14).text("RECEIPT", { align: "center" });
+  doc.moveDown();
+
+  // Receipt details
+  const completedAt = order.completedAt
+    ? new Date(order.completedAt).toLocaleDateString("en-PH", {
+        timeZone: "Asia/Manila",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      })
+    : "-";
+  const details = [
+    ["Receipt No.", order.receiptNumber],
+    ["Order No.", `#${order.id.slice(-8).toUpperCase()}`],
+    ["Date Completed", completedAt],
+    ["Customer", `${order.user.firstName} ${order.user.lastName}`],
+  ];
+  doc.fontSize(10);
+  for (const [label, value] of details) {
+    doc.font("Bold").text(`${label}: `, { continued: true });
+    doc.font("Regular").text(value);
+  }
+  doc.moveDown();
+
+  // Itemised lines
+  const columns = { item: 50, qty: 255, price: 330, amount: 445 };
+  const tableRight = 545;
+  let y = doc.y;
+
+  doc.font("Bold");
+  doc.text("Item", columns.item, y, { width: 200 });
+  doc.text("Qty", columns.qty, y, { width: 70, align: "right" });
+  doc.text("Unit Price", columns.price, y, { width: 110, align: "right" });
+  doc.text("Amount", columns.amount, y, {
+    width: tableRight - columns.amount,
+    align: "right",
+  });
+  y = doc.y + 4;
+  doc.moveTo(columns.item, y).lineTo(tableRight, y).stroke();
+  y += 6;
+
+  doc.font("Regular");
+  for (const item of order.items) {
+    const rowTop = y;
+    doc.text(item.product.name, columns.item, rowTop, { width: 200 });
+    const rowBottom = doc.y;
+    doc.text(formatQuantity(item.quantity, item.unit), columns.qty, rowTop, {
+      width: 70,
+      align: "right",
+    });
+    doc.text(formatUnitPrice(item.price, item.unit), columns.price, rowTop, {
+      width: 110,
+      align: "right",
+    });
+    doc.text(formatPeso(item.price * item.quantity), columns.amount, rowTop, {
+      width: tableRight - columns.amount,
+      align: "right",
+    });
+    y = Math.max(rowBottom, doc.y) + 4;
+  }
+
+  doc.moveTo(columns.item, y).lineTo(tableRight, y).stroke();
+  y += 8;
+
+  // Totals
+  if (order.discount > 0 || order.shippingFee > 0) {
+    const summary = [
+      [
+        "Subtotal",
+        formatPeso(order.total + order.discount - order.shippingFee),
+      ],
+    ];
+    if (order.discount > 0) {
+      summary.push([
+        order.voucherCode ? `Discount (${order.voucherCode})` : "Discount",
+        `-${formatPeso(order.discount)}`,
+      ]);
+    }
+    if (order.shippingFee > 0) {
+      summary.push(["Shipping", formatPeso(order.shippingFee)]);
+    }
+    doc.font("Regular");
+    for (const [label, value] of summary) {
+      doc.text(label, columns.item, y, {
+        width: columns.amount - columns.item - 10,
+        align: "right",
+      });
+      doc.text(value, columns.amount, y, {
+        width: tableRight - columns.amount,
+        align: "right",
+      });
+      y = doc.y + 4;
+    }
+  }
+
+  doc.font("Bold").fontSize(12);
+  doc.text("Total", columns.price, y, { width: 80, align: "right" });
+  doc.text(formatPeso(order.total), columns.amount, y, {
+    width: tableRight - columns.amount,
+    align: "right",
+  });
+
+  doc.moveDown(3);
+  doc
+    .font("Regular")
+    .fontSize(8)
+    .text(
+      "System-generated receipt issued through JunkHub.",
+      columns.item,
+      doc.y,
+      {
+        align: "center",
+        width: tableRight - columns.item,
+      }
+    );
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Include needed on a purchase to render its receipt
+ */
+export const RECEIPT_PURCHASE_INCLUDE = {
+  shop: { select: shopSelect },
+  user: { select: { firstName: true, lastName: true } },
+  product: { select: { name: true } },
+  offer: { select: { unit: true } },
+};
+
+/**
+ * Create a PDF receipt for a shop's purchase from a seller.
+ * Expects the purchase to include RECEIPT_PURCHASE_INCLUDE.
+ * @param {object} purchase - Recorded purchase
+ * @returns {PDFDocument} Readable PDF stream (already ended)
+ */
+export function createPurchaseReceiptPdf(purchase) {
+  const { shop } = purchase;
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.registerFont("Regular", FONT_REGULAR);
+  doc.registerFont("Bold", FONT_BOLD);
+
+  // Shop header
+  doc.font("Bold").fontSize(18).text(shop.name, { align: "center" });
+  if (shop.businessAddress) {
+    doc
+      .font("Regular")
+      .fontSize(10)
+      .text(shop.businessAddress, { align: "center" });
+  }
+  doc.moveDown(1.5);
+  doc.font("Bold").fontSize(14).text("PURCHASE RECEIPT", { align: "center" });
+  doc.moveDown();
+
+  // Receipt details
+  const details = [
+    ["Receipt No.", purchase.receiptNumber],
+    ["Offer No.", `#${purchase.offerId.slice(-8).toUpperCase()}`],
+    [
+      "Date Received",
+      new Date(purchase.confirmedAt).toLocaleDateString("en-PH", {
+        timeZone: "Asia/Manila",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      }),
+    ],
+    ["Seller", `${purchase.user.firstName} ${purchase.user.lastName}`],
+    ["Item", purchase.product.name],
+    [
+      "Quantity Offered",
+      formatQuantity(purchase.claimedQuantity, purchase.offer.unit),
+    ],
+  ];
+  if (purchase.weighedUnit) {
+    details.push([
+      "Weighed",
+      formatQuantity(purchase.weighedQuantity, purchase.weighedUnit),
+    ]);
+  }
+  details.push([
+    "Quantity Received",
+    formatQuantity(purchase.quantity, purchase.offer.unit),
+  ]);
+  if (purchase.unitPrice != null) {
+    details.push([
+      "Agreed Unit Price",
+      formatUnitPrice(purchase.unitPrice, purchase.offer.unit),
+    ]);
+  }
+  if (purchase.note) {
+    details.push(["Note", purchase.note]);
+  }
+  doc.fontSize(10);
+  for (const [label, value] of details) {
+    doc.font("Bold").text(`${label}: `, { continued: true });
+    doc.font("Regular").text(value);
+  }
+  doc.moveDown();
+
+  doc
+    .font("Bold")
+    .fontSize(12)
+    .text(`Amount Paid: ${formatPeso(purchase.amountPaid)}`, {
+      align: "right",
+    });
+
+  doc.moveDown(3);
+  doc
+    .font("Regular")
+    .fontSize(8)
+    .text("System-generated receipt issued through JunkHub.", {
+      align: "center",
+    });
+
+  doc.end();
+  return doc;
+}
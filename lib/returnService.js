@@ -0,0 +1,194 @@
+import prisma from "./prisma.js";
+import {
+  notifyOwner,
+  notifyReturnStatusChanged,
+} from "./notificationService.js";
+
+/**
+ * Return Service - Return/refund (RMA) workflow shared by owner and admin
+ */
+
+/**
+ * Return reason codes and their display labels
+ */
+export const RETURN_REASONS = {
+  damaged: "Item arrived damaged",
+  wrong_item: "Wrong item received",
+  not_as_described: "Item not as described",
+  missing_parts: "Missing parts or accessories",
+  other: "Other",
+};
+
+/**
+ * Order statuses that allow opening a return
+ */
+export const RETURNABLE_ORDER_STATUSES = ["delivered", "completed"];
+
+/**
+ * Include used when returning a return request from the workflow functions
+ */
+export const RETURN_INCLUDE = {
+  orderItem: {
+    include: {
+      product: {
+        select: { id: true, name: true, images: true },
+      },
+    },
+  },
+  shop: {
+    select: { id: true, name: true, ownerId: true },
+  },
+  refund: true,
+};
+
+/**
+ * Move a return request to a new status if it is still in one of the
+ * expected statuses. Runs `extra` in the same transaction.
+ */
+async function transitionReturn(
+  returnRequest,
+  fromStatuses,
+  status,
+  actor,
+  options = {}
+) {
+  const { note, extra } = options;
+
+  if (!fromStatuses.includes(returnRequest.status)) {
+    const error = new Error(
+      `Cannot change return status from "${returnRequest.status}" to "${status}"`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.returnRequest.updateMany({
+      where: { id: returnRequest.id, status: returnRequest.status },
+      data: {
+        status,
+        responseNote: note || null,
+        respondedByRole: actor.role,
+        respondedById: actor.id,
+      },
+    });
+
+    if (count === 0) {
+      const error = new Error("Return was changed by another request");
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (extra) {
+      await extra(tx);
+    }
+
+    return tx.returnRequest.findUnique({
+      where: { id: returnRequest.id },
+      include: RETURN_INCLUDE,
+    });
+  });
+
+  await notifyReturnStatusChanged(updated, status);
+
+  // Let the owner know when an admin stepped in on their behalf
+  if (actor.role === "admin") {
+    await notifyOwner(updated.shop.ownerId, {
+      type: "order",
+      title: "Return Resolved by Admin",
+      message: `An admin marked the return for order #${updated.orderId.slice(
+        -8
+      )} as ${status}.`,
+      link: `/dashboard/returns`,
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Approve a requested return so the buyer can send the item back
+ */
+export async function approveReturn(returnRequest, actor, { note } = {}) {
+  return transitionReturn(returnRequest, ["requested"], "approved", actor, {
+    note,
+  });
+}
+
+/**
+ * Reject a requested return, freeing its quantity to be returned again
+ */
+export async function rejectReturn(returnRequest, actor, { note } = {}) {
+  return transitionReturn(returnRequest, ["requested"], "rejected", actor, {
+    note,
+    extra: async (tx) => {
+      await tx.orderItem.update({
+        where: { id: returnRequest.orderItemId },
+        data: { returnedQuantity: { decrement: returnRequest.quantity } },
+      });
+    },
+  });
+}
+
+/**
+ * Amount refunded for a return: the returned items' price less their share
+ * of the order's voucher discount, prorated by item amount
+ */
+async function calculateRefundAmount(returnRequest) {
+  const order = await prisma.order.findUnique({
+    where: { id: returnRequest.orderId },
+    select: {
+      discount: true,
+      items: { select: { price: true, quantity: true } },
+    },
+  });
+
+  const itemsAmount = returnRequest.orderItem.price * returnRequest.quantity;
+  const subtotal = order.items.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  const discountShare =
+    order.discount > 0 && subtotal > 0
+      ? (order.discount * itemsAmount) / subtotal
+      : 0;
+
+  return Math.round((itemsAmount - discountShare) * 100) / 100;
+}
+
+/**
+ * Mark an approved return as received and issue the refund.
+ * Expects the return request to include `orderItem`.
+ * @param {object} returnRequest - Return request to settle
+ * @param {object} actor - { role, id } of who received the item
+ * @param {object} options - { restock, note }
+ * @returns {Promise<object>} Updated return request with refund
+ */
+export async function receiveReturn(returnRequest, actor, options = {}) {
+  const { restock = false, note } = options;
+  const amount = await calculateRefundAmount(returnRequest);
+
+  return transitionReturn(returnRequest, ["approved"], "refunded", actor, {
+    note,
+    extra: async (tx) => {
+      await tx.refund.create({
+        data: {
+          returnRequestId: returnRequest.id,
+          orderId: returnRequest.orderId,
+          shopId: returnRequest.shopId,
+          amount,
+          restocked: restock,
+          issuedByRole: actor.role,
+          issuedById: actor.id,
+        },
+      });
+
+      if (restock) {
+        await tx.product.update({
+          where: { id: returnRequest.orderItem.productId },
+          data: { stock: { increment: returnRequest.quantity } },
+        });
+      }
+    },
+  });
+}
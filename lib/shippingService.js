@@ -0,0 +1,161 @@
+/**
+ * Shipping Service - Per-shop shipping fees from rate tables
+ */
+
+export const SHIPPING_RATE_TYPES = ["flat", "weight"];
+
+// Fields an owner may set on a shipping rate
+const EDITABLE_FIELDS = [
+  "name",
+  "type",
+  "cities",
+  "zipCodes",
+  "baseFee",
+  "perKgFee",
+  "freeAbove",
+  "active",
+];
+
+/**
+ * Pick the editable shipping rate fields present in a request body
+ */
+export function pickShippingRateFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field];
+  }
+
+  for (const field of ["baseFee", "perKgFee", "freeAbove"]) {
+    if (data[field] != null) data[field] = parseFloat(data[field]);
+  }
+  if (data.cities) {
+    data.cities = data.cities.map((city) => city.trim());
+  }
+  if (data.zipCodes) {
+    data.zipCodes = data.zipCodes.map((zip) => String(zip).trim());
+  }
+  if (data.active !== undefined) {
+    data.active = data.active === true || data.active === "true";
+  }
+  return data;
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * How specifically a rate matches the destination:
+ * 3 = ZIP zone, 2 = city zone, 1 = no zone (shop default), 0 = no match
+ */
+function matchRate(rate, { city, zip }) {
+  const cities = Array.isArray(rate.cities) ? rate.cities : [];
+  const zipCodes = Array.isArray(rate.zipCodes) ? rate.zipCodes : [];
+  const normalizedCity = (city || "").trim().toLowerCase();
+  const normalizedZip = (zip || "").trim();
+
+  if (zipCodes.length > 0) {
+    return zipCodes.some((code) => normalizedZip.startsWith(code)) ? 3 : 0;
+  }
+  if (cities.length > 0) {
+    return cities.some((c) => c.toLowerCase() === normalizedCity) ? 2 : 0;
+  }
+  return 1;
+}
+
+/**
+ * Find the most specific rate for a destination; ties go to the cheaper base
+ * @param {Array} rates - Active rates of one shop
+ * @param {object} destination - { city, zip }
+ * @returns {object|null} Matching rate, or null if none covers it
+ */
+export function findShippingRate(rates, destination) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const rate of rates) {
+    const score = matchRate(rate, destination);
+    if (
+      score > bestScore ||
+      (score > 0 && score === bestScore && rate.baseFee < best.baseFee)
+    ) {
+      best = rate;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Calculate the fee a rate charges for a shop's part of the order
+ * @param {object} rate - Shipping rate
+ * @param {object} parcel - { subtotal, weight } where weight is in kg
+ * @returns {number} Shipping fee
+ */
+export function calculateShippingFee(rate, { subtotal, weight }) {
+  if (rate.freeAbove != null && subtotal >= rate.freeAbove) {
+    return 0;
+  }
+
+  const fee =
+    rate.type === "weight"
+      ? rate.baseFee + rate.perKgFee * weight
+      : rate.baseFee;
+
+  return roundAmount(fee);
+}
+
+/**
+ * Quote shipping for each shop in an order.
+ * Shops without any active rates ship for free; shops whose rate table does
+ * not cover the destination fail the quote with per-shop details.
+ * @param {object} client - Prisma client or transaction client
+ * @param {Array<{shopId: string, subtotal: number, weight: number}>} parcels
+ * @param {object} destination - { city, zip }
+ * @returns {Promise<Map>} shopId -> { fee, rate }
+ */
+export async function quoteShipping(client, parcels, destination) {
+  const rates = await client.shippingRate.findMany({
+    where: {
+      shopId: { in: parcels.map((parcel) => parcel.shopId) },
+      active: true,
+    },
+    include: { shop: { select: { name: true } } },
+  });
+
+  const quotes = new Map();
+  const unavailable = [];
+
+  for (const parcel of parcels) {
+    const shopRates = rates.filter((rate) => rate.shopId === parcel.shopId);
+    if (shopRates.length === 0) {
+      quotes.set(parcel.shopId, { fee: 0, rate: null });
+      continue;
+    }
+
+    const rate = findShippingRate(shopRates, destination);
+    if (!rate) {
+      unavailable.push({
+        shopId: parcel.shopId,
+        shopName: shopRates[0].shop.name,
+      });
+      continue;
+    }
+
+    quotes.set(parcel.shopId, {
+      fee: calculateShippingFee(rate, parcel),
+      rate: { id: rate.id, name: rate.name },
+    });
+  }
+
+  if (unavailable.length > 0) {
+    const error = new Error("Some shops do not deliver to this address");
+    error.name = "ValidationError";
+    error.details = unavailable;
+    throw error;
+  }
+
+  return quotes;
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit Service - Units of measure for products, orders and offers.
+ * Quantities are stored in the product's unit; units sold by measure allow
+ * decimal quantities, counted units only whole ones.
+ */
+
+/**
+ * Supported units. `decimal` allows fractional quantities; `kg` is the size
+ * of one unit in kilograms for units that can be converted by weight.
+ */
+export const PRODUCT_UNITS = {
+  kg: { decimal: true, kg: 1 },
+  g: { decimal: true, kg: 0.001 },
+  piece: { decimal: false },
+  sack: { decimal: false },
+  liter: { decimal: true },
+};
+
+/**
+ * Unit of products created before units existed
+ */
+export const DEFAULT_UNIT = "piece";
+
+/**
+ * Units a scale reading can be recorded in
+ */
+export const WEIGHT_UNITS = Object.keys(PRODUCT_UNITS).filter(
+  (unit) => PRODUCT_UNITS[unit].kg
+);
+
+// Decimal quantities are kept to grams / milliliters for kg and liter
+const QUANTITY_DECIMALS = 3;
+
+/**
+ * Round a quantity to the precision quantities are stored with
+ */
+export function roundQuantity(quantity) {
+  const factor = 10 ** QUANTITY_DECIMALS;
+  return Math.round(quantity * factor) / factor;
+}
+
+/**
+ * Check whether a quantity is allowed for a unit: positive (or zero when
+ * `allowZero`, e.g. stock), whole for counted units and at most three
+ * decimals otherwise
+ */
+export function isValidQuantity(quantity, unit = DEFAULT_UNIT, options = {}) {
+  const value = Number(quantity);
+  if (!Number.isFinite(value)) return false;
+  if (options.allowZero ? value < 0 : value <= 0) return false;
+
+  if (!PRODUCT_UNITS[unit]?.decimal) {
+    return Number.isInteger(value);
+  }
+  return roundQuantity(value) === value;
+}
+
+/**
+ * Error message for a quantity that isn't valid for its unit
+ */
+export function quantityError(unit = DEFAULT_UNIT) {
+  return PRODUCT_UNITS[unit]?.decimal
+    ? `Quantity in ${unit} must be positive with at most ${QUANTITY_DECIMALS} decimals`
+    : `Quantity in ${unit} must be a whole number`;
+}
+
+/**
+ * Convert a quantity between units of weight (e.g. g to kg)
+ * @returns {number|null} Converted quantity, or null if the units can't be
+ *   converted into each other
+ */
+export function convertQuantity(quantity, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return quantity;
+
+  const from = PRODUCT_UNITS[fromUnit]?.kg;
+  const to = PRODUCT_UNITS[toUnit]?.kg;
+  if (!from || !to) return null;
+
+  return roundQuantity((quantity * from) / to);
+}
+
+/**
+ * Format a quantity with its unit, e.g. "2.5 kg" or "3 piece"
+ */
+export function formatQuantity(quantity, unit = DEFAULT_UNIT) {
+  return `${quantity} ${unit}`;
+}
@@ -0,0 +1,282 @@
+import { formatPeso } from "./receiptService.js";
+
+/**
+ * Voucher Service - Promo code validation and discount calculation
+ */
+
+export const VOUCHER_SCOPES = ["platform", "shop"];
+export const VOUCHER_DISCOUNT_TYPES = ["percentage", "fixed"];
+
+// Fields an owner or admin may set when creating or updating a voucher
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minSpend",
+  "usageLimit",
+  "perUserLimit",
+  "categories",
+  "startsAt",
+  "endsAt",
+  "active",
+];
+
+/**
+ * Codes are matched case-insensitively and stored uppercase
+ */
+export function normalizeVoucherCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Pick the editable voucher fields present in a request body
+ */
+export function pickVoucherFields(body) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field];
+  }
+
+  for (const field of ["discountValue", "maxDiscount", "minSpend"]) {
+    if (data[field] != null) data[field] = parseFloat(data[field]);
+  }
+  for (const field of ["usageLimit", "perUserLimit"]) {
+    if (data[field] != null) data[field] = parseInt(data[field]);
+  }
+  for (const field of ["startsAt", "endsAt"]) {
+    if (data[field] != null) data[field] = new Date(data[field]);
+  }
+  if (data.active !== undefined) {
+    data.active = data.active === true || data.active === "true";
+  }
+  return data;
+}
+
+function voucherError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Check settings that depend on more than one field, e.g. after merging an
+ * update into the stored voucher
+ * @throws 400 error if the combination is invalid
+ */
+export function assertVoucherSettings(voucher) {
+  if (voucher.discountType === "percentage" && voucher.discountValue > 100) {
+    throw voucherError("Percentage discount cannot exceed 100");
+  }
+  if (
+    voucher.startsAt &&
+    voucher.endsAt &&
+    new Date(voucher.endsAt) <= new Date(voucher.startsAt)
+  ) {
+    throw voucherError("End date must be after the start date");
+  }
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Check that a voucher can be redeemed by the user right now
+ * @throws 400 error describing why the voucher cannot be used
+ */
+async function assertVoucherUsable(client, voucher, userId, now) {
+  if (!voucher || !voucher.active) {
+    throw voucherError("Voucher code is invalid");
+  }
+  if (voucher.startsAt && voucher.startsAt > now) {
+    throw voucherError("Voucher is not active yet");
+  }
+  if (voucher.endsAt && voucher.endsAt < now) {
+    throw voucherError("Voucher has expired");
+  }
+  if (voucher.usageLimit != null && voucher.usedCount >= voucher.usageLimit) {
+    throw voucherError("Voucher has been fully redeemed");
+  }
+
+  if (voucher.perUserLimit != null) {
+    const usage = await client.voucherUserUsage.findUnique({
+      where: { voucherId_userId: { voucherId: voucher.id, userId } },
+    });
+    if ((usage?.count || 0) >= voucher.perUserLimit) {
+      throw voucherError("You have already used this voucher");
+    }
+  }
+}
+
+/**
+ * Work out a voucher's discount for a set of order lines.
+ * Shop vouchers only count that shop's lines; category restrictions narrow
+ * the eligible lines further. The discount is split across shops in
+ * proportion to their eligible amounts so each shop order stores its share.
+ * @param {object} voucher - Voucher record
+ * @param {Array<{shopId: string, category: string, amount: number}>} lines
+ * @returns {object} { eligibleSubtotal, discount, shopDiscounts: Map }
+ */
+export function calculateVoucherDiscount(voucher, lines) {
+  const categories = Array.isArray(voucher.categories)
+    ? voucher.categories
+    : [];
+
+  const eligibleByShop = new Map();
+  let eligibleSubtotal = 0;
+  for (const line of lines) {
+    if (voucher.scope === "shop" && line.shopId !== voucher.shopId) continue;
+    if (categories.length > 0 && !categories.includes(line.category)) continue;
+
+    eligibleSubtotal += line.amount;
+    eligibleByShop.set(
+      line.shopId,
+      (eligibleByShop.get(line.shopId) || 0) + line.amount
+    );
+  }
+
+  if (eligibleSubtotal === 0) {
+    throw voucherError("Voucher does not apply to any items in this order");
+  }
+  if (eligibleSubtotal < voucher.minSpend) {
+    throw voucherError(
+      `Minimum spend of ${formatPeso(voucher.minSpend)} not met`
+    );
+  }
+
+  let discount =
+    voucher.discountType === "percentage"
+      ? (eligibleSubtotal * voucher.discountValue) / 100
+      : voucher.discountValue;
+  if (voucher.maxDiscount != null) {
+    discount = Math.min(discount, voucher.maxDiscount);
+  }
+  discount = roundAmount(Math.min(discount, eligibleSubtotal));
+
+  // Last shop takes the rounding remainder so the shares add up exactly
+  const shopDiscounts = new Map();
+  const shopIds = [...eligibleByShop.keys()];
+  let allocated = 0;
+  shopIds.forEach((shopId, index) => {
+    const share =
+      index === shopIds.length - 1
+        ? roundAmount(discount - allocated)
+        : roundAmount(
+            (discount * eligibleByShop.get(shopId)) / eligibleSubtotal
+          );
+    allocated += share;
+    shopDiscounts.set(shopId, share);
+  });
+
+  return { eligibleSubtotal, discount, shopDiscounts };
+}
+
+/**
+ * Look up a voucher code and calculate its discount for the user's lines
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} code - Voucher code as entered
+ * @param {string} userId - Buyer ID
+ * @param {Array} lines - See calculateVoucherDiscount
+ * @returns {Promise<object>} { voucher, eligibleSubtotal, discount, shopDiscounts }
+ */
+export async function applyVoucher(client, code, userId, lines) {
+  const voucher = await client.voucher.findUnique({
+    where: { code: normalizeVoucherCode(code) },
+  });
+
+  await assertVoucherUsable(client, voucher, userId, new Date());
+
+  return { voucher, ...calculateVoucherDiscount(voucher, lines) };
+}
+
+/**
+ * Record a redemption against the voucher's usage limits.
+ * Must run in the checkout transaction; the total and per-user counters only
+ * increment while their limits have not been reached.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} voucher - Voucher being redeemed
+ * @param {object} redemption - { userId, checkoutId, amount }
+ */
+export async function redeemVoucher(tx, voucher, redemption) {
+  const where = { id: voucher.id };
+  if (voucher.usageLimit != null) {
+    where.usedCount = { lt: voucher.usageLimit };
+  }
+
+  const { count } = await tx.voucher.updateMany({
+    where,
+    data: { usedCount: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    throw voucherError("Voucher has been fully redeemed");
+  }
+
+  const usageKey = { voucherId: voucher.id, userId: redemption.userId };
+  await tx.voucherUserUsage.createMany({
+    data: [usageKey],
+    skipDuplicates: true,
+  });
+  const usage = await tx.voucherUserUsage.updateMany({
+    where: {
+      ...usageKey,
+      ...(voucher.perUserLimit != null && {
+        count: { lt: voucher.perUserLimit },
+      }),
+    },
+    data: { count: { increment: 1 } },
+  });
+
+  if (usage.count === 0) {
+    throw voucherError("You have already used this voucher");
+  }
+
+  await tx.voucherRedemption.create({
+    data: { voucherId: voucher.id, ...redemption },
+  });
+}
+
+/**
+ * Give back the voucher discount of a cancelled order. The checkout's
+ * redemption shrinks by the order's share; once nothing of it is left (every
+ * discounted order of the checkout is cancelled), the redemption is removed
+ * and the voucher's total and per-user usage are released.
+ * Must run in the cancellation transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - Cancelled order ({ checkoutId, discount })
+ */
+export async function releaseVoucher(tx, order) {
+  if (!order.checkoutId || !(order.discount > 0)) return;
+
+  const redemption = await tx.voucherRedemption.findFirst({
+    where: { checkoutId: order.checkoutId },
+  });
+  if (!redemption) return;
+
+  await tx.voucherRedemption.update({
+    where: { id: redemption.id },
+    data: { amount: { decrement: order.discount } },
+  });
+
+  // Conditional so only the last of several concurrent cancellations
+  // releases it (amounts are pesos, so allow for float rounding)
+  const { count } = await tx.voucherRedemption.deleteMany({
+    where: { id: redemption.id, amount: { lt: 0.005 } },
+  });
+  if (count === 0) return;
+
+  await tx.voucher.updateMany({
+    where: { id: redemption.voucherId, usedCount: { gt: 0 } },
+    data: { usedCount: { decrement: 1 } },
+  });
+  await tx.voucherUserUsage.updateMany({
+    where: {
+      voucherId: redemption.voucherId,
+      userId: redemption.userId,
+      count: { gt: 0 },
+    },
+    data: { count: { decrement: 1 } },
+  });
+}
@@ -10,7 +10,12 @@ import userRoutes from "./routes/users.js";
 import shopRoutes from "./routes/shops.js";
 import productRoutes from "./routes/products.js";
 import orderRoutes from "./routes/orders.js";
+import cartRoutes from "./routes/cart.js";
+import voucherRoutes from "./routes/vouchers.js";
+import paymentRoutes from "./routes/payments.js";
 import offerRoutes from "./routes/offers.js";
+import returnRoutes from "./routes/returns.js";
+import receiptRoutes from "./routes/receipts.js";
 import ownerRoutes from "./routes/owner.js";
 import adminRoutes from "./routes/admin.js";
 import chatRoutes from "./routes/chats.js";
@@ -19,6 +24,8 @@ import ownerNotificationRoutes from "./routes/ownerNotifications.js";
 import adminNotificationRoutes from "./routes/adminNotifications.js";
 import ownerChatRoutes from "./routes/ownerChats.js";
 import seedRoutes, { seedDatabase } from "./routes/seed.js";
+import jobRoutes from "./routes/jobs.js";
+import { startJobScheduler } from "./jobs/index.js";
 
 const app = express();
 
@@ -28,11 +35,21 @@ app.use(
     origin: config.corsOrigin,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
-    exposedHeaders: ["set-cookie"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["set-cookie", "Idempotent-Replayed"],
+  })
+);
+app.use(
+  express.json({
+    limit: "50mb",
+    // Payment webhooks are verified against the exact bytes that were signed
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks")) {
+        req.rawBody = buf;
+      }
+    },
   })
 );
-app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use(cookieParser());
 
@@ -47,7 +64,12 @@ app.use("/api/users", userRoutes);
 app.use("/api/shops", shopRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/orders", orderRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/vouchers", voucherRoutes);
+app.use("/api/payments", paymentRoutes);
 app.use("/api/offers", offerRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/receipts", receiptRoutes);
 app.use("/api/owner", ownerRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/chats", chatRoutes);
@@ -56,6 +78,7 @@ app.use("/api/owner/notifications", ownerNotificationRoutes);
 app.use("/api/admin/notifications", adminNotificationRoutes);
 app.use("/api/owner/chats", ownerChatRoutes);
 app.use("/api/seed", seedRoutes);
+app.use("/api/jobs", jobRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -68,6 +91,7 @@ if (process.env.NODE_ENV !== "production") {
     console.log(`📝 Environment: ${config.nodeEnv}`);
     console.log(`🌐 CORS origin: ${config.corsOrigin}`);
   });
+  startJobScheduler();
 }
 
 export default app;
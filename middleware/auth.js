@@ -1,5 +1,6 @@
 import { verifyToken } from "../utils/jwt.js";
 import prisma from "../lib/prisma.js";
+import { config } from "../config/index.js";
 
 /**
  * Extract token from request (cookie or Authorization header)
@@ -173,3 +174,18 @@ export async function authenticateAdmin(req, res, next) {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
 }
+
+/**
+ * Middleware for scheduled job endpoints (expects Bearer CRON_SECRET)
+ */
+export function authenticateCron(req, res, next) {
+  if (!config.cronSecret) {
+    return res.status(503).json({ error: "Scheduled jobs are not configured" });
+  }
+
+  if (extractToken(req) !== config.cronSecret) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  next();
+}
@@ -16,6 +16,12 @@ export function errorHandler(err, req, res, next) {
     return res.status(404).json({ error: "Record not found" });
   }
 
+  if (err.code === "P2003") {
+    return res
+      .status(400)
+      .json({ error: "This record is still referenced by other records" });
+  }
+
   // Validation errors
   if (err.name === "ValidationError") {
     return res.status(400).json({ error: err.message, details: err.details });
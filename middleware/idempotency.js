@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import prisma from "../lib/prisma.js";
+import { config } from "../config/index.js";
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so equal bodies always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Oldest creation time of a key that is still within the replay window
+ */
+export function idempotencyKeyCutoff(now = new Date()) {
+  return new Date(
+    now.getTime() - config.idempotencyKeyTtlHours * 60 * 60 * 1000
+  );
+}
+
+/**
+ * Claim the key for this request, or return the record already holding it.
+ * An expired record for the same key is released first.
+ */
+async function claimKey(unique, requestHash) {
+  await prisma.idempotencyKey.deleteMany({
+    where: { ...unique, createdAt: { lt: idempotencyKeyCutoff() } },
+  });
+
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: { ...unique, requestHash },
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+
+    const record = await prisma.idempotencyKey.findUnique({
+      where: { userId_scope_key: unique },
+    });
+    return { record, claimed: false };
+  }
+}
+
+function releaseKey(id) {
+  prisma.idempotencyKey
+    .deleteMany({ where: { id } })
+    .catch((error) =>
+      console.error("Failed to release idempotency key:", error)
+    );
+}
+
+/**
+ * Middleware honouring an optional Idempotency-Key header on create routes.
+ * Must run after authentication. The first request with a key runs normally
+ * and its successful response is stored; retries with the same key and body
+ * get that response replayed, while reusing the key for a different body is
+ * rejected. Failed requests release the key so they can be retried.
+ */
+export async function idempotency(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must not exceed ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const unique = {
+      userId: req.user.id,
+      scope: `${req.method} ${req.originalUrl.split("?")[0]}`,
+      key,
+    };
+    const requestHash = crypto
+      .createHash("sha256")
+      .update(stableStringify(req.body ?? {}))
+      .digest("hex");
+
+    const { record, claimed } = await claimKey(unique, requestHash);
+
+    if (!claimed) {
+      if (record && record.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: "Idempotency-Key was already used for a different request",
+        });
+      }
+
+      if (!record || record.status !== "completed") {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store a successful response before sending it, so a retry arriving
+    // right after always finds it
+    const sendJson = res.json.bind(res);
+    let responded = false;
+    res.json = (body) => {
+      responded = true;
+
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        prisma.idempotencyKey
+          .update({
+            where: { id: record.id },
+            data: {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body)),
+            },
+          })
+          .catch((error) => {
+            console.error("Failed to store idempotent response:", error);
+            releaseKey(record.id);
+          })
+          .finally(() => sendJson(body));
+      } else {
+        releaseKey(record.id);
+        sendJson(body);
+      }
+
+      return res;
+    };
+
+    res.on("close", () => {
+      if (!responded) releaseKey(record.id);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
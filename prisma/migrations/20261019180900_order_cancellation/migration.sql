@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "cancelNote" TEXT,
+ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "cancelledBy" TEXT;
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "receipt_sequences" (
+    "date" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "receipt_sequences_pkey" PRIMARY KEY ("date")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_receiptNumber_key" ON "orders"("receiptNumber");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "expectedDeliveryAt" TIMESTAMP(3),
+ADD COLUMN     "riderName" TEXT,
+ADD COLUMN     "shippingCarrier" TEXT,
+ADD COLUMN     "trackingNumber" TEXT;
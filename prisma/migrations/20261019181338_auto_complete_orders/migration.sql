@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "autoCompleteReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "deliveredAt" TIMESTAMP(3);
+
+-- Backfill: orders delivered before deliveredAt existed count from their last update
+UPDATE "orders" SET "deliveredAt" = "updatedAt" WHERE "status" = 'delivered' AND "deliveredAt" IS NULL;
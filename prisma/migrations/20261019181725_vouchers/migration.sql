@@ -0,0 +1,63 @@
+-- AlterTable
+ALTER TABLE "checkouts" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "voucherCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "voucherCode" TEXT;
+
+-- CreateTable
+CREATE TABLE "vouchers" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "scope" TEXT NOT NULL,
+    "shopId" TEXT,
+    "discountType" TEXT NOT NULL,
+    "discountValue" DOUBLE PRECISION NOT NULL,
+    "maxDiscount" DOUBLE PRECISION,
+    "minSpend" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "usageLimit" INTEGER,
+    "perUserLimit" INTEGER,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "categories" JSONB NOT NULL DEFAULT '[]',
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdByRole" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vouchers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "voucher_redemptions" (
+    "id" TEXT NOT NULL,
+    "voucherId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "checkoutId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "voucher_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vouchers_code_key" ON "vouchers"("code");
+
+-- CreateIndex
+CREATE INDEX "voucher_redemptions_voucherId_userId_idx" ON "voucher_redemptions"("voucherId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "vouchers" ADD CONSTRAINT "vouchers_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "voucher_redemptions" ADD CONSTRAINT "voucher_redemptions_voucherId_fkey" FOREIGN KEY ("voucherId") REFERENCES "vouchers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "voucher_redemptions" ADD CONSTRAINT "voucher_redemptions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "voucher_redemptions" ADD CONSTRAINT "voucher_redemptions_checkoutId_fkey" FOREIGN KEY ("checkoutId") REFERENCES "checkouts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
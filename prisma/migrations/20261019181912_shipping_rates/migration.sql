@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "weight" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "checkouts" ADD COLUMN     "shippingFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "shippingFee" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "shipping_rates" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "cities" JSONB NOT NULL DEFAULT '[]',
+    "zipCodes" JSONB NOT NULL DEFAULT '[]',
+    "baseFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "perKgFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "freeAbove" DOUBLE PRECISION,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipping_rates_shopId_idx" ON "shipping_rates"("shopId");
+
+-- AddForeignKey
+ALTER TABLE "shipping_rates" ADD CONSTRAINT "shipping_rates_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops"("id") ON DELETE CASCADE ON UPDATE CASCADE;
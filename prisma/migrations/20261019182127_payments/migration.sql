@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "checkouts" ADD COLUMN     "paymentMethod" TEXT NOT NULL DEFAULT 'cod';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "paidAt" TIMESTAMP(3),
+ADD COLUMN     "paymentMethod" TEXT NOT NULL DEFAULT 'cod',
+ADD COLUMN     "paymentStatus" TEXT NOT NULL DEFAULT 'pending';
+
+-- CreateTable
+CREATE TABLE "payment_intents" (
+    "id" TEXT NOT NULL,
+    "checkoutId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "providerRef" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'PHP',
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "checkoutUrl" TEXT,
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_intents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_events" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_intents_providerRef_key" ON "payment_intents"("providerRef");
+
+-- CreateIndex
+CREATE INDEX "payment_intents_checkoutId_idx" ON "payment_intents"("checkoutId");
+
+-- AddForeignKey
+ALTER TABLE "payment_intents" ADD CONSTRAINT "payment_intents_checkoutId_fkey" FOREIGN KEY ("checkoutId") REFERENCES "checkouts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: orders placed before payments existed were cash on delivery, paid on delivery
+UPDATE "orders" SET "paymentStatus" = 'paid', "paidAt" = "updatedAt" WHERE "status" IN ('delivered', 'completed');
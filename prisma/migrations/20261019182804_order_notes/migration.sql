@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "deliveryInstructions" TEXT,
+ADD COLUMN     "internalNotes" TEXT;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "shops" ADD COLUMN     "pendingSlaHours" INTEGER;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "slaBreachedAt" TIMESTAMP(3);
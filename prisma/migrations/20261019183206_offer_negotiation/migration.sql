@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "offers" ADD COLUMN     "acceptedAt" TIMESTAMP(3),
+ADD COLUMN     "agreedPrice" DOUBLE PRECISION,
+ADD COLUMN     "lastProposedBy" TEXT NOT NULL DEFAULT 'user',
+ADD COLUMN     "unitPrice" DOUBLE PRECISION,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "offer_rounds" (
+    "id" TEXT NOT NULL,
+    "offerId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "proposedBy" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "message" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "offer_rounds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "offer_rounds_offerId_version_key" ON "offer_rounds"("offerId", "version");
+
+-- AddForeignKey
+ALTER TABLE "offer_rounds" ADD CONSTRAINT "offer_rounds_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "offers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- DropIndex
+DROP INDEX "purchases_shopId_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "products" ALTER COLUMN "stock" SET DEFAULT 0,
+ALTER COLUMN "stock" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "purchases" ADD COLUMN     "claimedQuantity" INTEGER,
+ADD COLUMN     "confirmedAt" TIMESTAMP(3),
+ADD COLUMN     "disputeReason" TEXT,
+ADD COLUMN     "scalePhoto" TEXT,
+ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'confirmed',
+ADD COLUMN     "updatedAt" TIMESTAMP(3),
+ADD COLUMN     "weighedQuantity" DOUBLE PRECISION,
+ADD COLUMN     "weighedUnit" TEXT,
+ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION,
+ALTER COLUMN "receiptNumber" DROP NOT NULL;
+
+-- Backfill: existing purchases were settled for the offered quantity when recorded
+UPDATE "purchases" SET "claimedQuantity" = "quantity", "confirmedAt" = "createdAt", "updatedAt" = "createdAt";
+
+ALTER TABLE "purchases" ALTER COLUMN "claimedQuantity" SET NOT NULL,
+ALTER COLUMN "updatedAt" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "purchases_shopId_confirmedAt_idx" ON "purchases"("shopId", "confirmedAt");
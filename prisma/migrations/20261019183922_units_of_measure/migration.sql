@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "unit" TEXT NOT NULL DEFAULT 'piece';
+
+-- AlterTable
+ALTER TABLE "cart_items" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "unit" TEXT NOT NULL DEFAULT 'piece',
+ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "return_requests" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "offers" ADD COLUMN     "unit" TEXT NOT NULL DEFAULT 'piece',
+ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "offer_rounds" ALTER COLUMN "quantity" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "purchases" ALTER COLUMN "claimedQuantity" SET DATA TYPE DOUBLE PRECISION;
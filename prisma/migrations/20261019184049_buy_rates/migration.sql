@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "buy_rates" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "unit" TEXT NOT NULL,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "buy_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "buy_rates_productId_createdAt_idx" ON "buy_rates"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "buy_rates_shopId_createdAt_idx" ON "buy_rates"("shopId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "buy_rates" ADD CONSTRAINT "buy_rates_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "buy_rates" ADD CONSTRAINT "buy_rates_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: each existing Buying product's current rate, as of its last update
+INSERT INTO "buy_rates" ("id", "productId", "shopId", "price", "unit", "changedById", "createdAt")
+SELECT gen_random_uuid()::text, "id", "shopId", "price", "unit", NULL, "updatedAt"
+FROM "products"
+WHERE "type" = 'Buying';
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "voucher_user_usages" (
+    "id" TEXT NOT NULL,
+    "voucherId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "voucher_user_usages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "voucher_user_usages_voucherId_userId_key" ON "voucher_user_usages"("voucherId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "voucher_user_usages" ADD CONSTRAINT "voucher_user_usages_voucherId_fkey" FOREIGN KEY ("voucherId") REFERENCES "vouchers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "voucher_user_usages" ADD CONSTRAINT "voucher_user_usages_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill counters from existing redemptions
+INSERT INTO "voucher_user_usages" ("id", "voucherId", "userId", "count")
+SELECT gen_random_uuid()::text, "voucherId", "userId", COUNT(*)
+FROM "voucher_redemptions"
+GROUP BY "voucherId", "userId";
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "returnedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill from returns that weren't rejected
+UPDATE "order_items" SET "returnedQuantity" = "returned"."quantity"
+FROM (
+    SELECT "orderItemId", SUM("quantity") AS "quantity"
+    FROM "return_requests"
+    WHERE "status" <> 'rejected'
+    GROUP BY "orderItemId"
+) AS "returned"
+WHERE "order_items"."id" = "returned"."orderItemId";
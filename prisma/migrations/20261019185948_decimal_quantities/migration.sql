@@ -0,0 +1,24 @@
+-- Casting rounds existing quantities to three decimals, dropping any float drift
+-- AlterTable
+ALTER TABLE "products" ALTER COLUMN "stock" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "cart_items" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "order_items" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3),
+ALTER COLUMN "returnedQuantity" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "return_requests" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "offers" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "offer_rounds" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3);
+
+-- AlterTable
+ALTER TABLE "purchases" ALTER COLUMN "quantity" SET DATA TYPE DECIMAL(12,3),
+ALTER COLUMN "claimedQuantity" SET DATA TYPE DECIMAL(12,3),
+ALTER COLUMN "weighedQuantity" SET DATA TYPE DECIMAL(12,3);
@@ -0,0 +1,11 @@
+-- DropForeignKey
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_shopId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "purchases" DROP CONSTRAINT "purchases_productId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "shops"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchases" ADD CONSTRAINT "purchases_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
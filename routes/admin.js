@@ -5,6 +5,21 @@ import { notifyOwnerApproved } from "../lib/notificationService.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import { validateBase64Image } from "../utils/imageValidator.js";
+import {
+  RETURN_INCLUDE,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../lib/returnService.js";
+import {
+  assertVoucherSettings,
+  normalizeVoucherCode,
+  pickVoucherFields,
+} from "../lib/voucherService.js";
+import {
+  createVoucherValidation,
+  updateVoucherValidation,
+} from "../validators/voucher.js";
 
 const router = express.Router();
 
@@ -255,6 +270,16 @@ router.delete("/products/:id", authenticateAdmin, async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Purchases back the sellers' receipts and payouts, so they're kept
+    const purchaseCount = await prisma.purchase.count({
+      where: { productId: id },
+    });
+    if (purchaseCount > 0) {
+      return res
+        .status(400)
+        .json({ error: "Products with recorded purchases cannot be deleted" });
+    }
+
     await prisma.product.delete({ where: { id } });
 
     res.json({ message: "Product deleted successfully" });
@@ -350,6 +375,301 @@ router.put(
   }
 );
 
+/**
+ * GET /api/admin/returns
+ * Get return requests, optionally only those the owner hasn't acted on
+ * for a number of days
+ */
+router.get("/returns", authenticateAdmin, async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0, status, staleDays } = req.query;
+
+    const where = {};
+    if (status && status !== "all") {
+      where.status = status;
+    }
+    if (staleDays) {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - parseInt(staleDays));
+      where.updatedAt = { lte: cutoff };
+    }
+
+    const returns = await prisma.returnRequest.findMany({
+      where,
+      include: {
+        ...RETURN_INCLUDE,
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true },
+        },
+      },
+      take: parseInt(limit),
+      skip: parseInt(offset),
+      orderBy: { updatedAt: "asc" },
+    });
+
+    const total = await prisma.returnRequest.count({ where });
+
+    res.json({ returns, total });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/reports/sla-breaches
+ * Shops with repeated pending SLA breaches (auto-cancelled orders) in the
+ * last `days` days, worst first
+ */
+router.get(
+  "/reports/sla-breaches",
+  authenticateAdmin,
+  async (req, res, next) => {
+    try {
+      const days = parseInt(req.query.days) || 30;
+      const minBreaches = parseInt(req.query.minBreaches) || 2;
+
+      const since = new Date();
+      since.setDate(since.getDate() - days);
+
+      const breaches = await prisma.order.groupBy({
+        by: ["shopId"],
+        where: { shopId: { not: null }, slaBreachedAt: { gte: since } },
+        _count: { id: true },
+        _max: { slaBreachedAt: true },
+        having: { id: { _count: { gte: minBreaches } } },
+        orderBy: { _count: { id: "desc" } },
+      });
+
+      const shops = await prisma.shop.findMany({
+        where: { id: { in: breaches.map((b) => b.shopId) } },
+        select: {
+          id: true,
+          name: true,
+          pendingSlaHours: true,
+          owner: {
+            select: { id: true, businessName: true, email: true },
+          },
+        },
+      });
+
+      res.json({
+        since,
+        minBreaches,
+        shops: breaches.map((b) => ({
+          shop: shops.find((s) => s.id === b.shopId) || null,
+          breaches: b._count.id,
+          lastBreachAt: b._max.slaBreachedAt,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Load a return request for an admin action
+ */
+async function findReturn(req, res) {
+  const returnRequest = await prisma.returnRequest.findUnique({
+    where: { id: req.params.id },
+    include: RETURN_INCLUDE,
+  });
+
+  if (!returnRequest) {
+    res.status(404).json({ error: "Return request not found" });
+    return null;
+  }
+
+  return returnRequest;
+}
+
+const returnNoteValidation = [
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must not exceed 500 characters"),
+];
+
+/**
+ * PUT /api/admin/returns/:id/approve
+ * Approve a return on the owner's behalf
+ */
+router.put(
+  "/returns/:id/approve",
+  authenticateAdmin,
+  returnNoteValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await approveReturn(returnRequest, req.user, {
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/returns/:id/reject
+ * Reject a return on the owner's behalf
+ */
+router.put(
+  "/returns/:id/reject",
+  authenticateAdmin,
+  returnNoteValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await rejectReturn(returnRequest, req.user, {
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/returns/:id/receive
+ * Mark a returned item as received and issue the refund
+ */
+router.put(
+  "/returns/:id/receive",
+  authenticateAdmin,
+  [
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("Restock must be true or false"),
+    ...returnNoteValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await receiveReturn(returnRequest, req.user, {
+        restock: req.body.restock === true || req.body.restock === "true",
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/vouchers
+ * Get all vouchers (platform and shop)
+ */
+router.get("/vouchers", authenticateAdmin, async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0, scope } = req.query;
+
+    const where = {};
+    if (scope && scope !== "all") {
+      where.scope = scope;
+    }
+
+    const vouchers = await prisma.voucher.findMany({
+      where,
+      include: {
+        shop: { select: { id: true, name: true } },
+      },
+      take: parseInt(limit),
+      skip: parseInt(offset),
+      orderBy: { createdAt: "desc" },
+    });
+
+    const total = await prisma.voucher.count({ where });
+
+    res.json({ vouchers, total });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/vouchers
+ * Create a platform-wide voucher
+ */
+router.post(
+  "/vouchers",
+  authenticateAdmin,
+  createVoucherValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const data = pickVoucherFields(req.body);
+      assertVoucherSettings(data);
+
+      const voucher = await prisma.voucher.create({
+        data: {
+          ...data,
+          code: normalizeVoucherCode(req.body.code),
+          scope: "platform",
+          createdByRole: "admin",
+          createdById: req.user.id,
+        },
+      });
+
+      res.status(201).json({ voucher });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/vouchers/:id
+ * Update or deactivate any voucher
+ */
+router.put(
+  "/vouchers/:id",
+  authenticateAdmin,
+  updateVoucherValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const voucher = await prisma.voucher.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!voucher) {
+        return res.status(404).json({ error: "Voucher not found" });
+      }
+
+      const data = pickVoucherFields(req.body);
+      assertVoucherSettings({ ...voucher, ...data });
+
+      const updated = await prisma.voucher.update({
+        where: { id: voucher.id },
+        data,
+      });
+
+      res.json({ voucher: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/admin/profile
  * Get admin profile
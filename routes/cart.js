@@ -0,0 +1,245 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { body } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { idempotency } from "../middleware/idempotency.js";
+import {
+  shippingValidation,
+  voucherCodeValidation,
+  paymentMethodValidation,
+} from "../validators/order.js";
+import { getCart, checkoutCart } from "../lib/cartService.js";
+import { startCheckoutPayment } from "../lib/paymentService.js";
+import {
+  formatQuantity,
+  isValidQuantity,
+  quantityError,
+  roundQuantity,
+} from "../lib/unitService.js";
+
+const router = express.Router();
+
+/**
+ * Find a product the user can put in their cart
+ */
+async function findCartableProduct(productId, res) {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+  });
+
+  if (!product || product.status !== "approved") {
+    res.status(404).json({ error: "Product not found" });
+    return null;
+  }
+
+  if (product.type !== "Selling") {
+    res.status(400).json({ error: "This product is not for sale" });
+    return null;
+  }
+
+  return product;
+}
+
+/**
+ * GET /api/cart
+ * Get user's cart (items are re-validated and flagged if unavailable)
+ */
+router.get("/", authenticateUser, async (req, res, next) => {
+  try {
+    const cart = await getCart(req.user.id);
+
+    res.json({ cart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cart/items
+ * Add a product to the cart (adds to the quantity if already there)
+ */
+router.post(
+  "/items",
+  authenticateUser,
+  [
+    body("productId").notEmpty().withMessage("Product ID is required"),
+    body("quantity")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { productId } = req.body;
+      const quantity = parseFloat(req.body.quantity || 1);
+
+      const product = await findCartableProduct(productId, res);
+      if (!product) return;
+
+      const existing = await prisma.cartItem.findUnique({
+        where: { userId_productId: { userId: req.user.id, productId } },
+      });
+      const newQuantity = roundQuantity((existing?.quantity || 0) + quantity);
+
+      if (!isValidQuantity(newQuantity, product.unit)) {
+        return res.status(400).json({ error: quantityError(product.unit) });
+      }
+
+      if (newQuantity > product.stock) {
+        return res.status(400).json({
+          error: `Only ${formatQuantity(product.stock, product.unit)} of ${
+            product.name
+          } in stock`,
+        });
+      }
+
+      await prisma.cartItem.upsert({
+        where: { userId_productId: { userId: req.user.id, productId } },
+        create: {
+          userId: req.user.id,
+          productId,
+          quantity: newQuantity,
+          priceAtAdd: product.price,
+        },
+        update: { quantity: newQuantity, priceAtAdd: product.price },
+      });
+
+      const cart = await getCart(req.user.id);
+
+      res.status(201).json({ cart });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/cart/items/:productId
+ * Update quantity of a cart item (also accepts the current price)
+ */
+router.put(
+  "/items/:productId",
+  authenticateUser,
+  [
+    body("quantity")
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { productId } = req.params;
+      const quantity = parseFloat(req.body.quantity);
+
+      const existing = await prisma.cartItem.findUnique({
+        where: { userId_productId: { userId: req.user.id, productId } },
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: "Item not in cart" });
+      }
+
+      const product = await findCartableProduct(productId, res);
+      if (!product) return;
+
+      if (!isValidQuantity(quantity, product.unit)) {
+        return res.status(400).json({ error: quantityError(product.unit) });
+      }
+
+      if (quantity > product.stock) {
+        return res.status(400).json({
+          error: `Only ${formatQuantity(product.stock, product.unit)} of ${
+            product.name
+          } in stock`,
+        });
+      }
+
+      await prisma.cartItem.update({
+        where: { id: existing.id },
+        data: { quantity, priceAtAdd: product.price },
+      });
+
+      const cart = await getCart(req.user.id);
+
+      res.json({ cart });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/cart/items/:productId
+ * Remove an item from the cart
+ */
+router.delete("/items/:productId", authenticateUser, async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+
+    await prisma.cartItem.deleteMany({
+      where: { userId: req.user.id, productId },
+    });
+
+    const cart = await getCart(req.user.id);
+
+    res.json({ cart });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/cart
+ * Clear the cart
+ */
+router.delete("/", authenticateUser, async (req, res, next) => {
+  try {
+    await prisma.cartItem.deleteMany({
+      where: { userId: req.user.id },
+    });
+
+    res.json({ message: "Cart cleared" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cart/checkout
+ * Place orders for everything in the cart
+ */
+router.post(
+  "/checkout",
+  authenticateUser,
+  [...shippingValidation, ...voucherCodeValidation, ...paymentMethodValidation],
+  validate,
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const {
+        shippingAddress,
+        shippingCity,
+        shippingZip,
+        deliveryInstructions,
+        voucherCode,
+        paymentMethod,
+      } = req.body;
+
+      const checkout = await checkoutCart(
+        req.user.id,
+        { shippingAddress, shippingCity, shippingZip, deliveryInstructions },
+        { voucherCode, paymentMethod }
+      );
+
+      const payment = await startCheckoutPayment(checkout);
+
+      res.status(201).json({ checkout, orders: checkout.orders, payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -3,6 +3,7 @@ import prisma from "../lib/prisma.js";
 import { authenticateUser, authenticateOwner } from "../middleware/auth.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import { getOrderOwnerId } from "../lib/orderService.js";
 
 const router = express.Router();
 
@@ -57,6 +58,9 @@ router.get("/order/:orderId", authenticateUser, async (req, res, next) => {
     const order = await prisma.order.findUnique({
       where: { id: orderId },
       include: {
+        shop: {
+          select: { ownerId: true, name: true },
+        },
         items: {
           include: {
             product: {
@@ -79,8 +83,8 @@ router.get("/order/:orderId", authenticateUser, async (req, res, next) => {
       return res.status(403).json({ error: "Access denied" });
     }
 
-    // Get the shop owner from the first order item
-    const ownerId = order.items[0]?.product?.shop?.ownerId;
+    // Get the owner of the shop fulfilling this order
+    const ownerId = getOrderOwnerId(order);
     if (!ownerId) {
       return res
         .status(400)
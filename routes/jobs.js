@@ -0,0 +1,21 @@
+import express from "express";
+import { authenticateCron } from "../middleware/auth.js";
+import { runAllJobs } from "../jobs/index.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/run
+ * Run scheduled background jobs (cron only)
+ */
+router.get("/run", authenticateCron, async (req, res, next) => {
+  try {
+    const results = await runAllJobs();
+
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -3,13 +3,101 @@ import prisma from "../lib/prisma.js";
 import { authenticateUser, authenticateOwner } from "../middleware/auth.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import { idempotency } from "../middleware/idempotency.js";
 import {
   notifyOfferReceived,
+  notifyOfferSellerResponse,
   notifyOfferStatusChanged,
 } from "../lib/notificationService.js";
+import {
+  OFFER_INCLUDE,
+  acceptOffer,
+  confirmPurchase,
+  counterOffer,
+  disputePurchase,
+  recordPurchase,
+} from "../lib/offerService.js";
+import {
+  RECEIPT_PURCHASE_INCLUDE,
+  createPurchaseReceiptPdf,
+} from "../lib/receiptService.js";
+import { isValidQuantity, quantityError } from "../lib/unitService.js";
+import {
+  counterOfferValidation,
+  createOfferValidation,
+  disputePurchaseValidation,
+  purchaseValidation,
+} from "../validators/offer.js";
 
 const router = express.Router();
 
+/**
+ * Load one of the seller's offers with its negotiation thread
+ */
+async function findSellerOffer(req, res) {
+  const offer = await prisma.offer.findUnique({
+    where: { id: req.params.id },
+    include: OFFER_INCLUDE,
+  });
+
+  if (!offer) {
+    res.status(404).json({ error: "Offer not found" });
+    return null;
+  }
+
+  if (offer.userId !== req.user.id) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+
+  return offer;
+}
+
+/**
+ * Load an offer on one of the owner's products with its negotiation thread
+ */
+async function findShopOffer(req, res) {
+  const offer = await prisma.offer.findUnique({
+    where: { id: req.params.id },
+    include: OFFER_INCLUDE,
+  });
+
+  if (!offer) {
+    res.status(404).json({ error: "Offer not found" });
+    return null;
+  }
+
+  if (offer.product.shop.ownerId !== req.user.id) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+
+  return offer;
+}
+
+/**
+ * Send the purchase receipt of a completed offer as a PDF download
+ */
+async function sendPurchaseReceipt(offer, res) {
+  if (offer.purchase?.status !== "confirmed") {
+    return res.status(400).json({
+      error: "Receipt is only available once the purchase is settled",
+    });
+  }
+
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: offer.purchase.id },
+    include: RECEIPT_PURCHASE_INCLUDE,
+  });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${purchase.receiptNumber}.pdf"`
+  );
+  createPurchaseReceiptPdf(purchase).pipe(res);
+}
+
 /**
  * POST /api/offers
  * Create a new offer (user wants to sell to shop)
@@ -17,20 +105,19 @@ const router = express.Router();
 router.post(
   "/",
   authenticateUser,
-  [
-    body("productId").notEmpty().withMessage("Product ID is required"),
-    body("quantity")
-      .isInt({ min: 1 })
-      .withMessage("Quantity must be at least 1"),
-    body("contactNumber").notEmpty().withMessage("Contact number is required"),
-    body("description").optional().trim(),
-    body("images").optional().isArray().withMessage("Images must be an array"),
-  ],
+  createOfferValidation,
   validate,
+  idempotency,
   async (req, res, next) => {
     try {
-      const { productId, quantity, contactNumber, description, images } =
-        req.body;
+      const {
+        productId,
+        quantity,
+        unitPrice,
+        contactNumber,
+        description,
+        images,
+      } = req.body;
 
       // Verify product exists and is a "Buying" type
       const product = await prisma.product.findUnique({
@@ -52,25 +139,33 @@ router.post(
           .json({ error: "This product is not available for selling offers" });
       }
 
+      if (!isValidQuantity(quantity, product.unit)) {
+        return res.status(400).json({ error: quantityError(product.unit) });
+      }
+
+      // The original offer is the first round of the negotiation
       const offer = await prisma.offer.create({
         data: {
           userId: req.user.id,
           productId,
-          quantity: parseInt(quantity),
+          quantity: parseFloat(quantity),
+          unit: product.unit,
+          unitPrice: parseFloat(unitPrice),
           contactNumber,
           description,
           images: images ? JSON.stringify(images) : "[]",
-        },
-        include: {
-          product: {
-            select: {
-              id: true,
-              name: true,
-              price: true,
-              shop: { select: { ownerId: true } },
+          rounds: {
+            create: {
+              version: 1,
+              proposedBy: "user",
+              actorId: req.user.id,
+              unitPrice: parseFloat(unitPrice),
+              quantity: parseFloat(quantity),
+              message: description || null,
             },
           },
         },
+        include: OFFER_INCLUDE,
       });
 
       // Notify shop owner about new offer
@@ -161,9 +256,239 @@ router.get("/shop", authenticateOwner, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/offers/shop/:id
+ * Get an offer on the owner's product with its negotiation thread (owner only)
+ */
+router.get("/shop/:id", authenticateOwner, async (req, res, next) => {
+  try {
+    const offer = await findShopOffer(req, res);
+    if (!offer) return;
+
+    res.json({ offer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/offers/shop/:id/counter
+ * Counter the seller's latest proposal (owner only)
+ */
+router.post(
+  "/shop/:id/counter",
+  authenticateOwner,
+  counterOfferValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const offer = await findShopOffer(req, res);
+      if (!offer) return;
+
+      const updatedOffer = await counterOffer(offer, req.user, req.body);
+
+      res.status(201).json({ offer: updatedOffer });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/offers/shop/:id/purchase
+ * Record receiving an accepted offer, optionally as a weighed quantity with a
+ * scale photo. Settles right away (stock intake and seller receipt) unless
+ * the quantity or payout changed, which the seller must confirm (owner only)
+ */
+router.post(
+  "/shop/:id/purchase",
+  authenticateOwner,
+  purchaseValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const offer = await findShopOffer(req, res);
+      if (!offer) return;
+
+      const purchase = await recordPurchase(offer, req.user, req.body);
+
+      res.status(201).json({ purchase });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/offers/shop/:id/receipt
+ * Download the purchase receipt of a completed offer (owner only)
+ */
+router.get("/shop/:id/receipt", authenticateOwner, async (req, res, next) => {
+  try {
+    const offer = await findShopOffer(req, res);
+    if (!offer) return;
+
+    await sendPurchaseReceipt(offer, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/offers/:id
+ * Get one of the user's offers with its negotiation thread
+ */
+router.get("/:id", authenticateUser, async (req, res, next) => {
+  try {
+    const offer = await findSellerOffer(req, res);
+    if (!offer) return;
+
+    res.json({ offer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/offers/:id/receipt
+ * Download the purchase receipt of a completed offer (user only)
+ */
+router.get("/:id/receipt", authenticateUser, async (req, res, next) => {
+  try {
+    const offer = await findSellerOffer(req, res);
+    if (!offer) return;
+
+    await sendPurchaseReceipt(offer, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/offers/:id/purchase/confirm
+ * Confirm the shop's recorded quantity and payout (user only)
+ */
+router.put(
+  "/:id/purchase/confirm",
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const offer = await findSellerOffer(req, res);
+      if (!offer) return;
+
+      const purchase = await confirmPurchase(offer);
+
+      res.json({ purchase });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/offers/:id/purchase/dispute
+ * Dispute the shop's recorded quantity or payout (user only)
+ */
+router.put(
+  "/:id/purchase/dispute",
+  authenticateUser,
+  disputePurchaseValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const offer = await findSellerOffer(req, res);
+      if (!offer) return;
+
+      const purchase = await disputePurchase(offer, req.body.reason);
+
+      res.json({ purchase });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/offers/:id/counter
+ * Counter the shop's latest proposal (user only)
+ */
+router.post(
+  "/:id/counter",
+  authenticateUser,
+  counterOfferValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const offer = await findSellerOffer(req, res);
+      if (!offer) return;
+
+      const updatedOffer = await counterOffer(offer, req.user, req.body);
+
+      res.status(201).json({ offer: updatedOffer });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/offers/:id/accept
+ * Accept the shop's counter-offer, locking in its price (user only)
+ */
+router.put("/:id/accept", authenticateUser, async (req, res, next) => {
+  try {
+    const offer = await findSellerOffer(req, res);
+    if (!offer) return;
+
+    const updatedOffer = await acceptOffer(offer, req.user);
+
+    res.json({ offer: updatedOffer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/offers/:id/withdraw
+ * Withdraw an offer still under negotiation (user only)
+ */
+router.put("/:id/withdraw", authenticateUser, async (req, res, next) => {
+  try {
+    const offer = await findSellerOffer(req, res);
+    if (!offer) return;
+
+    const { count } = await prisma.offer.updateMany({
+      where: { id: offer.id, status: "pending" },
+      data: { status: "withdrawn" },
+    });
+
+    if (count === 0) {
+      return res
+        .status(400)
+        .json({ error: "Only pending offers can be withdrawn" });
+    }
+
+    const updatedOffer = await prisma.offer.findUnique({
+      where: { id: offer.id },
+      include: OFFER_INCLUDE,
+    });
+
+    await notifyOfferSellerResponse(
+      updatedOffer,
+      updatedOffer.product.shop.ownerId,
+      "withdrawn"
+    );
+
+    res.json({ offer: updatedOffer });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * PUT /api/offers/:id/status
- * Update offer status (owner only)
+ * Update offer status (owner only). Accepting locks in the seller's latest
+ * proposed price and is only possible while it's the shop's turn.
  */
 router.put(
   "/:id/status",
@@ -176,42 +501,49 @@ router.put(
   validate,
   async (req, res, next) => {
     try {
-      const { id } = req.params;
       const { status } = req.body;
 
-      // Get offer with product and shop
-      const offer = await prisma.offer.findUnique({
-        where: { id },
-        include: {
-          product: {
-            include: {
-              shop: true,
-            },
-          },
-        },
-      });
+      const offer = await findShopOffer(req, res);
+      if (!offer) return;
 
-      if (!offer) {
-        return res.status(404).json({ error: "Offer not found" });
+      if (status === "accepted") {
+        const acceptedOffer = await acceptOffer(offer, req.user);
+        return res.json({ offer: acceptedOffer });
       }
 
-      // Verify ownership
-      if (offer.product.shop.ownerId !== req.user.id) {
-        return res.status(403).json({ error: "Access denied" });
+      if (offer.status === "withdrawn") {
+        return res
+          .status(400)
+          .json({ error: "The seller has withdrawn this offer" });
       }
 
-      // Update offer
-      const updatedOffer = await prisma.offer.update({
-        where: { id },
-        data: { status },
-        include: {
-          user: {
-            select: { id: true, firstName: true, lastName: true },
-          },
-          product: {
-            select: { id: true, name: true, price: true },
-          },
+      if (offer.purchase) {
+        return res
+          .status(400)
+          .json({ error: "The purchase for this offer is already recorded" });
+      }
+
+      // Rejecting or reopening drops any agreed price. Conditional so a
+      // counter-offer, acceptance or purchase recorded meanwhile isn't undone.
+      const { count } = await prisma.offer.updateMany({
+        where: {
+          id: offer.id,
+          status: offer.status,
+          version: offer.version,
+          purchase: { is: null },
         },
+        data: { status, agreedPrice: null, acceptedAt: null },
+      });
+
+      if (count === 0) {
+        return res
+          .status(409)
+          .json({ error: "Offer was changed by another request" });
+      }
+
+      const updatedOffer = await prisma.offer.findUnique({
+        where: { id: offer.id },
+        include: OFFER_INCLUDE,
       });
 
       // Notify user about offer status change
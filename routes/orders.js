@@ -3,10 +3,38 @@ import prisma from "../lib/prisma.js";
 import { authenticateUser, authenticateOwner } from "../middleware/auth.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import { idempotency } from "../middleware/idempotency.js";
 import {
-  notifyOrderCreated,
   notifyOrderStatusChanged,
+  notifyShipmentUpdated,
 } from "../lib/notificationService.js";
+import {
+  cancelOrderValidation,
+  deliveryInstructionsValidation,
+  shipmentValidation,
+  shippingValidation,
+  voucherCodeValidation,
+  paymentMethodValidation,
+} from "../validators/order.js";
+import {
+  ACTIVE_ORDER_STATUSES,
+  BUYER_ORDER_OMIT,
+  cancelOrder,
+  completeOrder,
+  createCheckout,
+  isOrderActive,
+  isOrderOwner,
+  pickShipmentDetails,
+  unavailableProductsError,
+  updateOrderStatus,
+} from "../lib/orderService.js";
+import {
+  RECEIPT_ORDER_INCLUDE,
+  createReceiptPdf,
+} from "../lib/receiptService.js";
+import { quoteShipping } from "../lib/shippingService.js";
+import { startCheckoutPayment } from "../lib/paymentService.js";
+import { CART_INCLUDE, getReorderItems } from "../lib/cartService.js";
 const router = express.Router();
 
 /**
@@ -17,7 +45,11 @@ router.get("/", authenticateUser, async (req, res, next) => {
   try {
     const orders = await prisma.order.findMany({
       where: { userId: req.user.id },
+      omit: BUYER_ORDER_OMIT,
       include: {
+        shop: {
+          select: { id: true, name: true },
+        },
         items: {
           include: {
             product: {
@@ -35,6 +67,51 @@ router.get("/", authenticateUser, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/orders/checkouts/:id
+ * Get a checkout with its per-shop orders
+ */
+router.get("/checkouts/:id", authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const checkout = await prisma.checkout.findUnique({
+      where: { id },
+      include: {
+        orders: {
+          omit: BUYER_ORDER_OMIT,
+          include: {
+            shop: {
+              select: { id: true, name: true },
+            },
+            items: {
+              include: {
+                product: {
+                  select: { id: true, name: true, price: true, images: true },
+                },
+              },
+            },
+          },
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    });
+
+    if (!checkout) {
+      return res.status(404).json({ error: "Checkout not found" });
+    }
+
+    // Verify ownership
+    if (checkout.userId !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    res.json({ checkout });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/orders/:id
  * Get order by ID
@@ -45,7 +122,11 @@ router.get("/:id", authenticateUser, async (req, res, next) => {
 
     const order = await prisma.order.findUnique({
       where: { id },
+      omit: BUYER_ORDER_OMIT,
       include: {
+        shop: {
+          select: { id: true, name: true, businessAddress: true },
+        },
         items: {
           include: {
             product: {
@@ -57,6 +138,9 @@ router.get("/:id", authenticateUser, async (req, res, next) => {
             },
           },
         },
+        statusHistory: {
+          orderBy: { createdAt: "asc" },
+        },
       },
     });
 
@@ -76,11 +160,50 @@ router.get("/:id", authenticateUser, async (req, res, next) => {
 });
 
 /**
- * POST /api/orders
- * Create order
+ * GET /api/orders/:id/receipt
+ * Download PDF receipt for a confirmed order
+ */
+router.get("/:id/receipt", authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: RECEIPT_ORDER_INCLUDE,
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    // Verify ownership
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (!order.receiptNumber) {
+      return res
+        .status(400)
+        .json({ error: "Receipt is only available for confirmed orders" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${order.receiptNumber}.pdf"`
+    );
+    createReceiptPdf(order).pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/orders/shipping-quote
+ * Quote per-shop shipping fees for items before checkout
  */
 router.post(
-  "/",
+  "/shipping-quote",
   authenticateUser,
   [
     body("items")
@@ -88,12 +211,8 @@ router.post(
       .withMessage("Order must have at least one item"),
     body("items.*.productId").notEmpty().withMessage("Product ID is required"),
     body("items.*.quantity")
-      .isInt({ min: 1 })
-      .withMessage("Quantity must be at least 1"),
-    body("shippingAddress")
-      .trim()
-      .notEmpty()
-      .withMessage("Shipping address is required"),
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
     body("shippingCity")
       .trim()
       .notEmpty()
@@ -106,51 +225,285 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const { items, shippingAddress, shippingCity, shippingZip } = req.body;
+      const { items, shippingCity, shippingZip } = req.body;
 
-      // Calculate total based on product prices
-      let total = 0;
-      const orderItems = [];
+      const products = await prisma.product.findMany({
+        where: { id: { in: items.map((item) => item.productId) } },
+        include: { shop: { select: { id: true, name: true } } },
+      });
 
-      for (const item of items) {
-        const product = await prisma.product.findUnique({
-          where: { id: item.productId },
-        });
+      const unavailableError = unavailableProductsError(products);
+      if (unavailableError) throw unavailableError;
 
+      const parcels = new Map();
+      for (const item of items) {
+        const product = products.find((p) => p.id === item.productId);
         if (!product) {
           return res
             .status(404)
             .json({ error: `Product ${item.productId} not found` });
         }
 
-        if (product.stock < item.quantity) {
-          return res.status(400).json({
-            error: `Insufficient stock for ${product.name}`,
+        if (!parcels.has(product.shopId)) {
+          parcels.set(product.shopId, {
+            shopId: product.shopId,
+            shopName: product.shop.name,
+            subtotal: 0,
+            weight: 0,
           });
         }
+        const quantity = parseFloat(item.quantity);
+        const parcel = parcels.get(product.shopId);
+        parcel.subtotal += product.price * quantity;
+        parcel.weight += (product.weight || 0) * quantity;
+      }
 
-        const itemTotal = product.price * item.quantity;
-        total += itemTotal;
+      const shippingQuotes = await quoteShipping(
+        prisma,
+        [...parcels.values()],
+        {
+          city: shippingCity,
+          zip: shippingZip,
+        }
+      );
 
-        orderItems.push({
-          productId: product.id,
-          quantity: item.quantity,
-          price: product.price,
-        });
-      }
+      let shippingFee = 0;
+      const shops = [...parcels.values()].map((parcel) => {
+        const { fee, rate } = shippingQuotes.get(parcel.shopId);
+        shippingFee += fee;
+        return { ...parcel, shippingFee: fee, rate };
+      });
 
-      // Create order with items
-      const order = await prisma.order.create({
-        data: {
-          userId: req.user.id,
-          total,
-          shippingAddress,
-          shippingCity,
-          shippingZip,
+      res.json({ shops, shippingFee });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/orders
+ * Create order
+ */
+router.post(
+  "/",
+  authenticateUser,
+  [
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("Order must have at least one item"),
+    body("items.*.productId").notEmpty().withMessage("Product ID is required"),
+    body("items.*.quantity")
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
+    ...shippingValidation,
+    ...voucherCodeValidation,
+    ...paymentMethodValidation,
+  ],
+  validate,
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const {
+        items,
+        shippingAddress,
+        shippingCity,
+        shippingZip,
+        deliveryInstructions,
+        voucherCode,
+        paymentMethod,
+      } = req.body;
+
+      // Reserve stock and create per-shop orders in one transaction
+      const checkout = await createCheckout(
+        req.user.id,
+        items,
+        { shippingAddress, shippingCity, shippingZip, deliveryInstructions },
+        { voucherCode, paymentMethod }
+      );
+
+      // Prepaid checkouts get a payment to complete with the provider
+      const payment = await startCheckoutPayment(checkout);
+
+      res.status(201).json({ checkout, orders: checkout.orders, payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/orders/:id/reorder
+ * Repeat a past order (user only). Items are re-checked against current
+ * products; by default a cart-ready list is returned, and with `placeOrder`
+ * a new order is placed (to the previous address unless one is given).
+ */
+router.post(
+  "/:id/reorder",
+  authenticateUser,
+  [
+    body("placeOrder")
+      .optional()
+      .isBoolean()
+      .withMessage("placeOrder must be a boolean"),
+    body("acceptPriceChanges")
+      .optional()
+      .isBoolean()
+      .withMessage("acceptPriceChanges must be a boolean"),
+    body("shippingAddress")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Shipping address must not be empty"),
+    body("shippingCity")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Shipping city must not be empty"),
+    body("shippingZip")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Shipping ZIP must not be empty"),
+    ...deliveryInstructionsValidation,
+    ...voucherCodeValidation,
+    ...paymentMethodValidation,
+  ],
+  validate,
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const placeOrder =
+        req.body.placeOrder === true || req.body.placeOrder === "true";
+      const acceptPriceChanges =
+        req.body.acceptPriceChanges === true ||
+        req.body.acceptPriceChanges === "true";
+
+      const order = await prisma.order.findUnique({
+        where: { id },
+        include: {
           items: {
-            create: orderItems,
+            include: CART_INCLUDE,
           },
         },
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      // Verify ownership
+      if (order.userId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const reorder = getReorderItems(order);
+
+      if (!placeOrder) {
+        return res.json(reorder);
+      }
+
+      // Placing an order needs every item and the buyer's OK on new prices
+      if (reorder.unavailable.length > 0) {
+        const error = new Error("Some items cannot be ordered again");
+        error.name = "ValidationError";
+        error.details = reorder.unavailable;
+        throw error;
+      }
+
+      if (reorder.hasPriceChanges && !acceptPriceChanges) {
+        const error = new Error(
+          "Some prices have changed; set acceptPriceChanges to order anyway"
+        );
+        error.name = "ValidationError";
+        error.details = reorder.items
+          .filter((item) => item.priceChanged)
+          .map((item) => ({
+            productId: item.productId,
+            productName: item.product.name,
+            previousPrice: item.previousPrice,
+            price: item.price,
+          }));
+        throw error;
+      }
+
+      const {
+        shippingAddress = order.shippingAddress,
+        shippingCity = order.shippingCity,
+        shippingZip = order.shippingZip,
+        deliveryInstructions = order.deliveryInstructions,
+        voucherCode,
+        paymentMethod,
+      } = req.body;
+
+      const checkout = await createCheckout(
+        req.user.id,
+        reorder.items.map(({ productId, quantity }) => ({
+          productId,
+          quantity,
+        })),
+        { shippingAddress, shippingCity, shippingZip, deliveryInstructions },
+        { voucherCode, paymentMethod }
+      );
+
+      const payment = await startCheckoutPayment(checkout);
+
+      res.status(201).json({ checkout, orders: checkout.orders, payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/orders/:id/delivery-instructions
+ * Edit delivery instructions while the order is active (user only)
+ */
+router.put(
+  "/:id/delivery-instructions",
+  authenticateUser,
+  deliveryInstructionsValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const order = await prisma.order.findUnique({
+        where: { id },
+        select: { id: true, userId: true, status: true },
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      // Verify ownership
+      if (order.userId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      if (!isOrderActive(order)) {
+        return res.status(400).json({
+          error: "Delivery instructions can only be edited on active orders",
+        });
+      }
+
+      // Only applies while the order is still active
+      const { count } = await prisma.order.updateMany({
+        where: { id, status: { in: ACTIVE_ORDER_STATUSES } },
+        data: { deliveryInstructions: req.body.deliveryInstructions || null },
+      });
+
+      if (count === 0) {
+        return res
+          .status(409)
+          .json({ error: "Order status was changed by another request" });
+      }
+
+      const updatedOrder = await prisma.order.findUnique({
+        where: { id },
+        omit: BUYER_ORDER_OMIT,
         include: {
           items: {
             include: {
@@ -160,34 +513,7 @@ router.post(
         },
       });
 
-      // Update product stock
-      for (const item of items) {
-        await prisma.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: {
-              decrement: item.quantity,
-            },
-          },
-        });
-      }
-
-      // Notify shop owners about new order
-      const shopOwnerIds = new Set();
-      for (const item of order.items) {
-        if (item.product?.shopId) {
-          const shop = await prisma.shop.findUnique({
-            where: { id: item.product.shopId },
-            select: { ownerId: true },
-          });
-          if (shop?.ownerId) shopOwnerIds.add(shop.ownerId);
-        }
-      }
-      for (const ownerId of shopOwnerIds) {
-        await notifyOrderCreated(order, ownerId);
-      }
-
-      res.status(201).json({ order });
+      res.json({ order: updatedOrder });
     } catch (error) {
       next(error);
     }
@@ -198,49 +524,69 @@ router.post(
  * PUT /api/orders/:id/cancel
  * Cancel order (user only - can only cancel their own pending orders)
  */
-router.put("/:id/cancel", authenticateUser, async (req, res, next) => {
-  try {
-    const { id } = req.params;
+router.put(
+  "/:id/cancel",
+  authenticateUser,
+  cancelOrderValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason, note } = req.body;
 
-    // Get order
-    const order = await prisma.order.findUnique({
-      where: { id },
-    });
+      // Get order with shop so the owner can be notified
+      const order = await prisma.order.findUnique({
+        where: { id },
+        include: {
+          shop: true,
+          items: {
+            include: {
+              product: {
+                include: {
+                  shop: true,
+                },
+              },
+            },
+          },
+        },
+      });
 
-    if (!order) {
-      return res.status(404).json({ error: "Order not found" });
-    }
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
 
-    // Verify ownership
-    if (order.userId !== req.user.id) {
-      return res.status(403).json({ error: "Access denied" });
-    }
+      // Verify ownership
+      if (order.userId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
 
-    // Can only cancel pending orders
-    if (order.status !== "pending") {
-      return res
-        .status(400)
-        .json({ error: "Only pending orders can be cancelled" });
-    }
+      // Can only cancel pending orders
+      if (order.status !== "pending") {
+        return res
+          .status(400)
+          .json({ error: "Only pending orders can be cancelled" });
+      }
 
-    // Update order status to cancelled
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: { status: "cancelled" },
-      include: {
-        items: {
-          include: {
-            product: true,
+      // Cancel order and restore stock
+      const updatedOrder = await cancelOrder(order, req.user, {
+        reason,
+        note,
+        include: {
+          items: {
+            include: {
+              product: true,
+            },
           },
         },
-      },
-    });
+        omit: BUYER_ORDER_OMIT,
+      });
 
-    res.json({ order: updatedOrder });
-  } catch (error) {
-    next(error);
+      res.json({ order: updatedOrder });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * PUT /api/orders/:id/status
@@ -251,19 +597,26 @@ router.put(
   authenticateOwner,
   [
     body("status")
-      .isIn(["pending", "processing", "shipped", "delivered", "cancelled"])
+      .isIn(["processing", "shipped", "delivered", "cancelled"])
       .withMessage("Invalid status"),
+    body("reason")
+      .if(body("status").equals("cancelled"))
+      .notEmpty()
+      .withMessage("Cancellation reason is required"),
+    ...cancelOrderValidation,
+    ...shipmentValidation,
   ],
   validate,
   async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason, note } = req.body;
 
-      // Get order with items and products
+      // Get order with shop, items and products
       const order = await prisma.order.findUnique({
         where: { id },
         include: {
+          shop: true,
           items: {
             include: {
               product: {
@@ -280,19 +633,97 @@ router.put(
         return res.status(404).json({ error: "Order not found" });
       }
 
-      // Verify ownership (at least one product belongs to owner's shop)
-      const ownsProduct = order.items.some(
-        (item) => item.product.shop.ownerId === req.user.id
-      );
+      // Verify ownership of the shop fulfilling this order
+      if (!isOrderOwner(order, req.user.id)) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const include = {
+        items: {
+          include: {
+            product: true,
+          },
+        },
+        statusHistory: {
+          orderBy: { createdAt: "asc" },
+        },
+      };
+
+      // Cancellations restore stock and notify both sides with the reason
+      if (status === "cancelled") {
+        const cancelledOrder = await cancelOrder(order, req.user, {
+          reason,
+          note,
+          include,
+        });
+        return res.json({ order: cancelledOrder });
+      }
+
+      // Update order (rejects transitions not allowed from current status),
+      // attaching any shipment details sent along (e.g. when shipping)
+      const updatedOrder = await updateOrderStatus(order, status, req.user, {
+        note,
+        data: pickShipmentDetails(req.body),
+        include,
+      });
+
+      // Notify user about order status change
+      await notifyOrderStatusChanged(updatedOrder, status);
+
+      res.json({ order: updatedOrder });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/orders/:id/shipment
+ * Attach or edit shipment tracking details (owner only)
+ */
+router.put(
+  "/:id/shipment",
+  authenticateOwner,
+  shipmentValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
 
-      if (!ownsProduct) {
+      const order = await prisma.order.findUnique({
+        where: { id },
+        include: {
+          shop: true,
+          items: {
+            include: {
+              product: {
+                include: {
+                  shop: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      if (!isOrderOwner(order, req.user.id)) {
         return res.status(403).json({ error: "Access denied" });
       }
 
-      // Update order
+      // Details can be prepared while processing and corrected in transit
+      if (!["processing", "shipped"].includes(order.status)) {
+        return res.status(400).json({
+          error: "Shipment details can only be edited before delivery",
+        });
+      }
+
       const updatedOrder = await prisma.order.update({
         where: { id },
-        data: { status },
+        data: pickShipmentDetails(req.body),
         include: {
           items: {
             include: {
@@ -302,8 +733,10 @@ router.put(
         },
       });
 
-      // Notify user about order status change
-      await notifyOrderStatusChanged(updatedOrder, status);
+      // Let the buyer know about changes to a shipment already on its way
+      if (updatedOrder.status === "shipped") {
+        await notifyShipmentUpdated(updatedOrder);
+      }
 
       res.json({ order: updatedOrder });
     } catch (error) {
@@ -324,6 +757,7 @@ router.put("/:id/confirm", authenticateUser, async (req, res, next) => {
     const order = await prisma.order.findUnique({
       where: { id },
       include: {
+        shop: true,
         items: {
           include: {
             product: {
@@ -360,23 +794,8 @@ router.put("/:id/confirm", authenticateUser, async (req, res, next) => {
       });
     }
 
-    // Generate receipt number: RCP-YYYYMMDD-XXXXXXXX
-    const now = new Date();
-    const dateStr = now.toISOString().slice(0, 10).replace(/-/g, "");
-    const randomPart = Math.random()
-      .toString(36)
-      .substring(2, 10)
-      .toUpperCase();
-    const receiptNumber = `RCP-${dateStr}-${randomPart}`;
-
-    // Update order with receipt number and mark as completed
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: {
-        receiptNumber,
-        completedAt: now,
-        status: "completed",
-      },
+    // Mark as completed with the next sequential receipt number
+    const updatedOrder = await completeOrder(order, req.user, {
       include: {
         items: {
           include: {
@@ -384,29 +803,9 @@ router.put("/:id/confirm", authenticateUser, async (req, res, next) => {
           },
         },
       },
+      omit: BUYER_ORDER_OMIT,
     });
-
-    // Notify shop owners about completion
-    const shopOwnerIds = new Set();
-    for (const item of order.items) {
-      if (item.product?.shop?.ownerId) {
-        shopOwnerIds.add(item.product.shop.ownerId);
-      }
-    }
-
-    for (const ownerId of shopOwnerIds) {
-      await prisma.notification.create({
-        data: {
-          ownerId,
-          type: "order",
-          title: "Order Completed",
-          message: `Order #${order.id.slice(
-            -6
-          )} has been confirmed by the customer. Receipt: ${receiptNumber}`,
-          link: "/orders",
-        },
-      });
-    }
+    const { receiptNumber } = updatedOrder;
 
     res.json({
       message: "Order confirmed successfully",
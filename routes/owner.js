@@ -1,9 +1,39 @@
 import express from "express";
 import prisma from "../lib/prisma.js";
 import { authenticateOwner } from "../middleware/auth.js";
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import { validateBase64Image } from "../utils/imageValidator.js";
+import {
+  cancelOrderValidation,
+  internalNotesValidation,
+  ownerOrdersQueryValidation,
+  shipmentValidation,
+} from "../validators/order.js";
+import {
+  ACTIVE_ORDER_STATUSES,
+  ORDER_CANCEL_REASONS,
+  ORDER_TRANSITIONS,
+  OWNER_ORDER_SORTS,
+  cancelOrder,
+  isOrderActive,
+  isOrderOwner,
+  ownerOrdersWhere,
+  pickShipmentDetails,
+  shopOrdersWhere,
+  updateOrderStatus,
+} from "../lib/orderService.js";
+import { roundQuantity } from "../lib/unitService.js";
+import { notifyOrdersStatusChanged } from "../lib/notificationService.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  streamOrdersExport,
+} from "../lib/exportService.js";
+import {
+  RECEIPT_ORDER_INCLUDE,
+  createReceiptPdf,
+} from "../lib/receiptService.js";
 
 const router = express.Router();
 
@@ -40,16 +70,10 @@ router.get("/stats", authenticateOwner, async (req, res, next) => {
       where: { shopId: { in: shopIds } },
     });
 
-    // Get orders for owner's products
+    // Get orders for owner's shops
     const orders = await prisma.order.findMany({
       where: {
-        items: {
-          some: {
-            product: {
-              shopId: { in: shopIds },
-            },
-          },
-        },
+        ...shopOrdersWhere(shopIds),
         createdAt: { gte: startDate },
       },
       include: {
@@ -63,14 +87,61 @@ router.get("/stats", authenticateOwner, async (req, res, next) => {
       },
     });
 
-    // Calculate total sales and orders
+    // Calculate total sales and orders; quantities are totalled per unit
     let totalSales = 0;
+    const quantitySold = {};
     orders.forEach((order) => {
       order.items.forEach((item) => {
         totalSales += item.price * item.quantity;
+        quantitySold[item.unit] = roundQuantity(
+          (quantitySold[item.unit] || 0) + item.quantity
+        );
       });
     });
 
+    // Subtract refunds issued in the same period
+    const refunds = await prisma.refund.aggregate({
+      where: {
+        shopId: { in: shopIds },
+        createdAt: { gte: startDate },
+      },
+      _sum: { amount: true },
+      _count: { id: true },
+    });
+    const totalRefunds = refunds._sum.amount || 0;
+    totalSales -= totalRefunds;
+
+    // Orders auto-cancelled because the shop missed its pending SLA
+    const slaBreaches = await prisma.order.count({
+      where: {
+        ...shopOrdersWhere(shopIds),
+        slaBreachedAt: { gte: startDate },
+      },
+    });
+
+    // Settled purchases from sellers (received offers) in the same period
+    const purchases = await prisma.purchase.findMany({
+      where: {
+        shopId: { in: shopIds },
+        status: "confirmed",
+        confirmedAt: { gte: startDate },
+      },
+      select: {
+        amountPaid: true,
+        quantity: true,
+        offer: { select: { unit: true } },
+      },
+    });
+    let totalBought = 0;
+    const quantityBought = {};
+    purchases.forEach((purchase) => {
+      const { unit } = purchase.offer;
+      totalBought += purchase.amountPaid;
+      quantityBought[unit] = roundQuantity(
+        (quantityBought[unit] || 0) + purchase.quantity
+      );
+    });
+
     // Get pending offers count
     const pendingOffers = await prisma.offer.count({
       where: {
@@ -84,9 +155,16 @@ router.get("/stats", authenticateOwner, async (req, res, next) => {
     res.json({
       stats: {
         totalSales,
+        totalRefunds,
+        refundCount: refunds._count.id,
         totalOrders: orders.length,
         pendingOffers,
         activeProducts,
+        slaBreaches,
+        quantitySold,
+        totalBought,
+        purchaseCount: purchases.length,
+        quantityBought,
       },
     });
   } catch (error) {
@@ -111,15 +189,7 @@ router.get("/activity", authenticateOwner, async (req, res, next) => {
 
     // Get recent orders
     const recentOrders = await prisma.order.findMany({
-      where: {
-        items: {
-          some: {
-            product: {
-              shopId: { in: shopIds },
-            },
-          },
-        },
-      },
+      where: shopOrdersWhere(shopIds),
       include: {
         items: {
           include: {
@@ -241,56 +311,481 @@ router.get("/products", authenticateOwner, async (req, res, next) => {
 });
 
 /**
- * GET /api/owner/orders
- * Get orders for owner's shops
+ * Get the IDs of the owner's shops, narrowed to `?shopId=` when given
  */
-router.get("/orders", authenticateOwner, async (req, res, next) => {
-  try {
-    // Get owner's shops
-    const shops = await prisma.shop.findMany({
-      where: { ownerId: req.user.id },
-      select: { id: true },
-    });
-    const shopIds = shops.map((s) => s.id);
+async function getOwnerShopIds(req, res) {
+  const shops = await prisma.shop.findMany({
+    where: { ownerId: req.user.id },
+    select: { id: true },
+  });
+  const shopIds = shops.map((s) => s.id);
+
+  const { shopId } = req.query;
+  if (!shopId) return shopIds;
+
+  if (!shopIds.includes(shopId)) {
+    res.status(404).json({ error: "Shop not found" });
+    return null;
+  }
+  return [shopId];
+}
 
-    // Get orders containing products from owner's shops
-    const orders = await prisma.order.findMany({
-      where: {
-        items: {
-          some: {
-            product: {
-              shopId: { in: shopIds },
+/**
+ * GET /api/owner/orders
+ * Get orders for owner's shops. Filters: status, from, to, shopId,
+ * customer (name/email), orderId (ID fragment); sort and limit/offset
+ * pagination. Includes per-status counts for the other filters.
+ */
+router.get(
+  "/orders",
+  authenticateOwner,
+  ownerOrdersQueryValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const {
+        status,
+        from,
+        to,
+        customer,
+        orderId,
+        sort = "newest",
+        limit = 20,
+        offset = 0,
+      } = req.query;
+
+      const shopIds = await getOwnerShopIds(req, res);
+      if (!shopIds) return;
+
+      const baseWhere = ownerOrdersWhere(shopIds, {
+        from,
+        to,
+        customer,
+        orderId,
+      });
+      const where =
+        status && status !== "all" ? { ...baseWhere, status } : baseWhere;
+
+      const orders = await prisma.order.findMany({
+        where,
+        include: {
+          shop: {
+            select: { id: true, name: true },
+          },
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              address: true,
             },
           },
-        },
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true,
-            address: true,
+          items: {
+            include: {
+              product: {
+                select: { id: true, name: true, price: true, images: true },
+              },
+            },
+          },
+          statusHistory: {
+            orderBy: { createdAt: "asc" },
           },
         },
-        items: {
-          include: {
-            product: {
-              select: { id: true, name: true, price: true, images: true },
+        orderBy: OWNER_ORDER_SORTS[sort],
+        take: parseInt(limit),
+        skip: parseInt(offset),
+      });
+
+      const total = await prisma.order.count({ where });
+
+      // Counts by status for tabs, using every filter except status
+      const counts = await prisma.order.groupBy({
+        by: ["status"],
+        where: baseWhere,
+        _count: { id: true },
+      });
+
+      const statusCounts = {};
+      for (const orderStatus of Object.keys(ORDER_TRANSITIONS)) {
+        statusCounts[orderStatus] = 0;
+      }
+      counts.forEach((c) => {
+        if (c.status in statusCounts) {
+          statusCounts[c.status] = c._count.id;
+        }
+      });
+
+      // Only the first product image is needed for the list thumbnail
+      const ordersWithThumbnails = orders.map((order) => ({
+        ...order,
+        items: order.items.map((item) => ({
+          ...item,
+          product: {
+            ...item.product,
+            images: Array.isArray(item.product.images)
+              ? item.product.images.slice(0, 1)
+              : [],
+          },
+        })),
+      }));
+
+      res.json({
+        orders: ordersWithThumbnails,
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        statusCounts,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/owner/orders/export
+ * Download orders (`type=orders`) or order items (`type=items`) for owner's
+ * shops as CSV or XLSX (`format`). Accepts the orders list filters.
+ */
+router.get(
+  "/orders/export",
+  authenticateOwner,
+  [
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+    query("type")
+      .optional()
+      .isIn(EXPORT_TYPES)
+      .withMessage(`Type must be one of: ${EXPORT_TYPES.join(", ")}`),
+    ...ownerOrdersQueryValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const {
+        format = "csv",
+        type = "orders",
+        status,
+        from,
+        to,
+        customer,
+        orderId,
+      } = req.query;
+
+      const shopIds = await getOwnerShopIds(req, res);
+      if (!shopIds) return;
+
+      const baseWhere = ownerOrdersWhere(shopIds, {
+        from,
+        to,
+        customer,
+        orderId,
+      });
+      const where =
+        status && status !== "all" ? { ...baseWhere, status } : baseWhere;
+
+      await streamOrdersExport(res, where, { format, type });
+    } catch (error) {
+      // Once the file has started there is no way to send an error response
+      if (res.headersSent) {
+        console.error("Order export failed:", error);
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/owner/orders/status
+ * Move several orders to a new status at once. Each order is checked and
+ * updated on its own; the response reports success or failure per order and
+ * each buyer gets a single notification for their updated orders.
+ */
+router.put(
+  "/orders/status",
+  authenticateOwner,
+  [
+    body("orderIds")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("Order IDs must be a list of 1 to 100 orders"),
+    body("orderIds.*").isString().notEmpty().withMessage("Invalid order ID"),
+    body("status")
+      .isIn(["processing", "shipped", "delivered", "cancelled"])
+      .withMessage("Invalid status"),
+    body("reason")
+      .if(body("status").equals("cancelled"))
+      .notEmpty()
+      .withMessage("Cancellation reason is required"),
+    ...cancelOrderValidation,
+    ...shipmentValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { status, reason, note } = req.body;
+      const orderIds = [...new Set(req.body.orderIds)];
+      const shipment = pickShipmentDetails(req.body);
+
+      const orders = await prisma.order.findMany({
+        where: { id: { in: orderIds } },
+        include: {
+          shop: true,
+          items: {
+            include: {
+              product: {
+                include: {
+                  shop: true,
+                },
+              },
             },
           },
         },
-      },
-      orderBy: { createdAt: "desc" },
+      });
+
+      const results = [];
+      const updatedByBuyer = new Map();
+
+      for (const orderId of orderIds) {
+        const order = orders.find((o) => o.id === orderId);
+        if (!order) {
+          results.push({ orderId, success: false, error: "Order not found" });
+          continue;
+        }
+
+        if (!isOrderOwner(order, req.user.id)) {
+          results.push({ orderId, success: false, error: "Access denied" });
+          continue;
+        }
+
+        try {
+          const updatedOrder =
+            status === "cancelled"
+              ? await cancelOrder(order, req.user, {
+                  reason,
+                  note,
+                  notify: false,
+                })
+              : await updateOrderStatus(order, status, req.user, {
+                  note,
+                  data: { ...shipment },
+                });
+
+          results.push({ orderId, success: true, status: updatedOrder.status });
+          if (!updatedByBuyer.has(updatedOrder.userId)) {
+            updatedByBuyer.set(updatedOrder.userId, []);
+          }
+          updatedByBuyer.get(updatedOrder.userId).push(updatedOrder);
+        } catch (error) {
+          // Expected rejections (e.g. illegal transition) carry a status code
+          if (!error.statusCode) {
+            console.error(`Bulk update of order ${orderId} failed:`, error);
+          }
+          results.push({
+            orderId,
+            success: false,
+            error: error.statusCode ? error.message : "Failed to update order",
+          });
+        }
+      }
+
+      for (const [userId, updatedOrders] of updatedByBuyer) {
+        await notifyOrdersStatusChanged(userId, updatedOrders, status, {
+          reason: ORDER_CANCEL_REASONS[reason] || reason,
+          note,
+        });
+      }
+
+      const succeeded = results.filter((r) => r.success).length;
+
+      res.json({
+        results,
+        succeeded,
+        failed: results.length - succeeded,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/owner/orders/:id/receipt
+ * Download PDF receipt for a confirmed order of the owner's shop
+ */
+router.get("/orders/:id/receipt", authenticateOwner, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: RECEIPT_ORDER_INCLUDE,
     });
 
-    res.json({ orders });
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    if (!isOrderOwner(order, req.user.id)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    if (!order.receiptNumber) {
+      return res
+        .status(400)
+        .json({ error: "Receipt is only available for confirmed orders" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${order.receiptNumber}.pdf"`
+    );
+    createReceiptPdf(order).pipe(res);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * PUT /api/owner/orders/:id/cancel
+ * Cancel an order for the owner's shop with a reason (restores stock)
+ */
+router.put(
+  "/orders/:id/cancel",
+  authenticateOwner,
+  [
+    body("reason").notEmpty().withMessage("Cancellation reason is required"),
+    ...cancelOrderValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason, note } = req.body;
+
+      const order = await prisma.order.findUnique({
+        where: { id },
+        include: {
+          shop: true,
+          items: {
+            include: {
+              product: {
+                include: {
+                  shop: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      if (!isOrderOwner(order, req.user.id)) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const updatedOrder = await cancelOrder(order, req.user, {
+        reason,
+        note,
+        include: {
+          items: {
+            include: {
+              product: true,
+            },
+          },
+          statusHistory: {
+            orderBy: { createdAt: "asc" },
+          },
+        },
+      });
+
+      res.json({ order: updatedOrder });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/owner/orders/:id/notes
+ * Edit the shop's internal notes on an active order (never shown to buyers)
+ */
+router.put(
+  "/orders/:id/notes",
+  authenticateOwner,
+  internalNotesValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const order = await prisma.order.findUnique({
+        where: { id },
+        include: {
+          shop: true,
+          items: {
+            include: {
+              product: {
+                include: {
+                  shop: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      if (!isOrderOwner(order, req.user.id)) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      if (!isOrderActive(order)) {
+        return res.status(400).json({
+          error: "Internal notes can only be edited on active orders",
+        });
+      }
+
+      // Only applies while the order is still active
+      const { count } = await prisma.order.updateMany({
+        where: { id, status: { in: ACTIVE_ORDER_STATUSES } },
+        data: { internalNotes: req.body.internalNotes || null },
+      });
+
+      if (count === 0) {
+        return res
+          .status(409)
+          .json({ error: "Order status was changed by another request" });
+      }
+
+      const updatedOrder = await prisma.order.findUnique({
+        where: { id },
+        include: {
+          items: {
+            include: {
+              product: true,
+            },
+          },
+        },
+      });
+
+      res.json({ order: updatedOrder });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * PUT /api/owner/profile
  * Update owner profile (including password)
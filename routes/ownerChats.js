@@ -3,6 +3,7 @@ import prisma from "../lib/prisma.js";
 import { authenticateOwner } from "../middleware/auth.js";
 import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
+import { isOrderOwner } from "../lib/orderService.js";
 
 const router = express.Router();
 
@@ -78,6 +79,9 @@ router.get("/order/:orderId", authenticateOwner, async (req, res, next) => {
         user: {
           select: { id: true, firstName: true, lastName: true },
         },
+        shop: {
+          select: { ownerId: true },
+        },
         items: {
           include: {
             product: {
@@ -96,12 +100,8 @@ router.get("/order/:orderId", authenticateOwner, async (req, res, next) => {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    // Check if any product in the order belongs to this owner's shop
-    const ownsProduct = order.items.some(
-      (item) => item.product?.shop?.ownerId === req.user.id
-    );
-
-    if (!ownsProduct) {
+    // Check that this owner's shop fulfills the order
+    if (!isOrderOwner(order, req.user.id)) {
       return res.status(403).json({ error: "Access denied" });
     }
 
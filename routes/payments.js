@@ -0,0 +1,194 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { config } from "../config/index.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { body } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { fakePaymentProvider } from "../lib/fakePaymentProvider.js";
+import {
+  createPaymentIntent,
+  handlePaymentWebhook,
+} from "../lib/paymentService.js";
+
+const router = express.Router();
+
+/**
+ * Load one of the user's checkouts with its orders and payment attempts
+ */
+async function findUserCheckout(req, res) {
+  const checkout = await prisma.checkout.findUnique({
+    where: { id: req.params.checkoutId },
+    include: {
+      orders: {
+        select: {
+          id: true,
+          shopId: true,
+          total: true,
+          status: true,
+          paymentStatus: true,
+          paidAt: true,
+        },
+      },
+      paymentIntents: {
+        orderBy: { createdAt: "desc" },
+      },
+    },
+  });
+
+  if (!checkout) {
+    res.status(404).json({ error: "Checkout not found" });
+    return null;
+  }
+
+  if (checkout.userId !== req.user.id) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+
+  return checkout;
+}
+
+/**
+ * GET /api/payments/checkouts/:checkoutId
+ * Get payment status of a checkout (user only)
+ */
+router.get(
+  "/checkouts/:checkoutId",
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const checkout = await findUserCheckout(req, res);
+      if (!checkout) return;
+
+      const { orders, paymentIntents, paymentMethod } = checkout;
+
+      res.json({ paymentMethod, orders, payments: paymentIntents });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/payments/checkouts/:checkoutId/intent
+ * Start a new e-wallet payment, e.g. after a failed attempt (user only)
+ */
+router.post(
+  "/checkouts/:checkoutId/intent",
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const checkout = await findUserCheckout(req, res);
+      if (!checkout) return;
+
+      const payment = await createPaymentIntent(checkout);
+
+      res.status(201).json({ payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/payments/webhooks/:provider
+ * Payment result callback from the provider (verified by signature)
+ */
+router.post("/webhooks/:provider", async (req, res, next) => {
+  try {
+    const result = await handlePaymentWebhook(
+      req.params.provider,
+      req.rawBody || Buffer.from(""),
+      req.headers
+    );
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Only expose the fake provider's payment page outside production
+ */
+function fakeProviderOnly(req, res, next) {
+  if (config.nodeEnv === "production") {
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+}
+
+/**
+ * GET /api/payments/fake/:providerRef
+ * Fake provider's payment page (development only)
+ */
+router.get("/fake/:providerRef", fakeProviderOnly, async (req, res, next) => {
+  try {
+    const payment = await prisma.paymentIntent.findUnique({
+      where: { providerRef: req.params.providerRef },
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    res.json({ payment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/payments/fake/:providerRef/complete
+ * Pay or fail a fake payment; sends a signed webhook through the regular
+ * webhook handling (development only)
+ */
+router.post(
+  "/fake/:providerRef/complete",
+  fakeProviderOnly,
+  [
+    body("outcome")
+      .isIn(["succeeded", "failed"])
+      .withMessage('Outcome must be "succeeded" or "failed"'),
+    body("failureReason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Failure reason must not exceed 200 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { outcome, failureReason } = req.body;
+
+      const payment = await prisma.paymentIntent.findUnique({
+        where: { providerRef: req.params.providerRef },
+      });
+      if (!payment) {
+        return res.status(404).json({ error: "Payment not found" });
+      }
+      if (payment.status !== "pending") {
+        return res
+          .status(400)
+          .json({ error: `This payment is already ${payment.status}` });
+      }
+
+      const { rawBody, headers } = fakePaymentProvider.buildWebhook({
+        type: `payment.${outcome}`,
+        providerRef: req.params.providerRef,
+        failureReason,
+      });
+      const result = await handlePaymentWebhook(
+        fakePaymentProvider.name,
+        rawBody,
+        headers
+      );
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -6,6 +6,8 @@ import {
   createProductValidation,
   updateProductValidation,
 } from "../validators/product.js";
+import { isValidQuantity, quantityError } from "../lib/unitService.js";
+import { recordRateChange } from "../lib/rateService.js";
 
 const router = express.Router();
 
@@ -82,10 +84,11 @@ router.get("/home/bestsellers", async (req, res, next) => {
     const { limit = 10 } = req.query;
 
     // Get products ordered by how many times they appear in orders
+    // (quantities in different units, e.g. kg and pieces, can't be compared)
     const orderItems = await prisma.orderItem.groupBy({
       by: ["productId"],
-      _sum: { quantity: true },
-      orderBy: { _sum: { quantity: "desc" } },
+      _count: { id: true },
+      orderBy: { _count: { id: "desc" } },
       take: parseInt(limit) * 2, // Get more to filter out non-approved
     });
 
@@ -209,7 +212,9 @@ router.post(
         price,
         shopId,
         category,
+        unit,
         stock,
+        weight,
         type,
         images,
       } = req.body;
@@ -224,24 +229,32 @@ router.post(
         return res.status(403).json({ error: "You do not own this shop" });
       }
 
-      // Create product with pending status for admin approval
-      const product = await prisma.product.create({
-        data: {
-          name,
-          description,
-          price,
-          shopId,
-          category,
-          stock,
-          type,
-          images: images || [],
-          status: "pending", // Requires admin approval
-        },
-        include: {
-          shop: {
-            select: { id: true, name: true, logo: true },
+      // Create product with pending status for admin approval; a Buying
+      // product's price starts its rate history
+      const product = await prisma.$transaction(async (tx) => {
+        const created = await tx.product.create({
+          data: {
+            name,
+            description,
+            price,
+            shopId,
+            category,
+            unit,
+            stock: parseFloat(stock),
+            weight: weight != null ? parseFloat(weight) : null,
+            type,
+            images: images || [],
+            status: "pending", // Requires admin approval
           },
-        },
+          include: {
+            shop: {
+              select: { id: true, name: true, logo: true },
+            },
+          },
+        });
+
+        await recordRateChange(tx, created, null, req.user.id);
+        return created;
       });
 
       // Notify all admins about new product pending approval
@@ -277,8 +290,17 @@ router.put(
   async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { name, description, price, category, stock, type, images } =
-        req.body;
+      const {
+        name,
+        description,
+        price,
+        category,
+        unit,
+        stock,
+        weight,
+        type,
+        images,
+      } = req.body;
 
       // Get product with shop
       const existingProduct = await prisma.product.findUnique({
@@ -295,15 +317,40 @@ router.put(
         return res.status(403).json({ error: "You do not own this product" });
       }
 
-      // Update product
-      const product = await prisma.product.update({
-        where: { id },
-        data: { name, description, price, category, stock, type, images },
-        include: {
-          shop: {
-            select: { id: true, name: true, logo: true },
+      // Stock must suit the unit, including when only the unit changes
+      const newUnit = unit || existingProduct.unit;
+      const newStock =
+        stock != null ? parseFloat(stock) : existingProduct.stock;
+      if (!isValidQuantity(newStock, newUnit, { allowZero: true })) {
+        return res
+          .status(400)
+          .json({ error: `Stock: ${quantityError(newUnit)}` });
+      }
+
+      // Update product, recording a Buying product's new rate
+      const product = await prisma.$transaction(async (tx) => {
+        const updated = await tx.product.update({
+          where: { id },
+          data: {
+            name,
+            description,
+            price,
+            category,
+            unit,
+            stock: stock != null ? parseFloat(stock) : stock,
+            weight: weight != null ? parseFloat(weight) : weight,
+            type,
+            images,
           },
-        },
+          include: {
+            shop: {
+              select: { id: true, name: true, logo: true },
+            },
+          },
+        });
+
+        await recordRateChange(tx, updated, existingProduct, req.user.id);
+        return updated;
       });
 
       res.json({ product });
@@ -336,6 +383,16 @@ router.delete("/:id", authenticateOwner, async (req, res, next) => {
       return res.status(403).json({ error: "You do not own this product" });
     }
 
+    // Purchases back the sellers' receipts and payouts, so they're kept
+    const purchaseCount = await prisma.purchase.count({
+      where: { productId: id },
+    });
+    if (purchaseCount > 0) {
+      return res
+        .status(400)
+        .json({ error: "Products with recorded purchases cannot be deleted" });
+    }
+
     // Delete product
     await prisma.product.delete({ where: { id } });
 
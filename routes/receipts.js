@@ -0,0 +1,91 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+
+const router = express.Router();
+
+/**
+ * Verify a shop's purchase receipt (PUR-...), issued to the seller
+ */
+async function verifyPurchaseReceipt(receiptNumber, res) {
+  const purchase = await prisma.purchase.findUnique({
+    where: { receiptNumber },
+    select: {
+      receiptNumber: true,
+      amountPaid: true,
+      status: true,
+      confirmedAt: true,
+      shop: {
+        select: { name: true },
+      },
+    },
+  });
+
+  if (!purchase) {
+    return res.status(404).json({ valid: false, error: "Receipt not found" });
+  }
+
+  res.json({
+    valid: true,
+    receipt: {
+      type: "purchase",
+      receiptNumber: purchase.receiptNumber,
+      shopName: purchase.shop.name,
+      amountPaid: purchase.amountPaid,
+      status: purchase.status,
+      confirmedAt: purchase.confirmedAt,
+    },
+  });
+}
+
+/**
+ * GET /api/receipts/:receiptNumber/verify
+ * Verify a receipt is genuine (public - no customer details)
+ */
+router.get("/:receiptNumber/verify", async (req, res, next) => {
+  try {
+    const receiptNumber = req.params.receiptNumber.trim().toUpperCase();
+
+    if (receiptNumber.startsWith("PUR-")) {
+      return await verifyPurchaseReceipt(receiptNumber, res);
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { receiptNumber },
+      select: {
+        receiptNumber: true,
+        total: true,
+        discount: true,
+        status: true,
+        completedAt: true,
+        shop: {
+          select: { name: true },
+        },
+        _count: {
+          select: { items: true },
+        },
+      },
+    });
+
+    if (!order) {
+      return res.status(404).json({ valid: false, error: "Receipt not found" });
+    }
+
+    res.json({
+      valid: true,
+      receipt: {
+        type: "order",
+        receiptNumber: order.receiptNumber,
+        shopName: order.shop?.name || null,
+        total: order.total,
+        discount: order.discount,
+        itemCount: order._count.items,
+        status: order.status,
+        completedAt: order.completedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
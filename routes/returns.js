@@ -0,0 +1,316 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { authenticateUser, authenticateOwner } from "../middleware/auth.js";
+import { body } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { validateBase64Images } from "../utils/imageValidator.js";
+import { notifyReturnRequested } from "../lib/notificationService.js";
+import {
+  formatQuantity,
+  isValidQuantity,
+  quantityError,
+  roundQuantity,
+} from "../lib/unitService.js";
+import {
+  RETURN_REASONS,
+  RETURNABLE_ORDER_STATUSES,
+  RETURN_INCLUDE,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../lib/returnService.js";
+
+const router = express.Router();
+
+const responseNoteValidation = [
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must not exceed 500 characters"),
+];
+
+/**
+ * Load a return request and verify it belongs to one of the owner's shops
+ */
+async function findOwnerReturn(req, res) {
+  const returnRequest = await prisma.returnRequest.findUnique({
+    where: { id: req.params.id },
+    include: RETURN_INCLUDE,
+  });
+
+  if (!returnRequest) {
+    res.status(404).json({ error: "Return request not found" });
+    return null;
+  }
+
+  if (returnRequest.shop.ownerId !== req.user.id) {
+    res.status(403).json({ error: "Access denied" });
+    return null;
+  }
+
+  return returnRequest;
+}
+
+/**
+ * POST /api/returns
+ * Open a return request for a delivered order item (user only)
+ */
+router.post(
+  "/",
+  authenticateUser,
+  [
+    body("orderItemId").notEmpty().withMessage("Order item ID is required"),
+    body("quantity")
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
+    body("reason")
+      .isIn(Object.keys(RETURN_REASONS))
+      .withMessage(
+        `Reason must be one of: ${Object.keys(RETURN_REASONS).join(", ")}`
+      ),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description must not exceed 1000 characters"),
+    body("images")
+      .optional()
+      .isArray()
+      .withMessage("Images must be an array")
+      .custom((value) => {
+        if (!value || value.length === 0) return true; // Optional field
+        const result = validateBase64Images(value);
+        if (!result.valid) {
+          throw new Error(result.error);
+        }
+        return true;
+      }),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { orderItemId, reason, description, images } = req.body;
+      const quantity = parseFloat(req.body.quantity);
+
+      const orderItem = await prisma.orderItem.findUnique({
+        where: { id: orderItemId },
+        include: {
+          order: true,
+          product: {
+            include: {
+              shop: { select: { id: true, ownerId: true } },
+            },
+          },
+        },
+      });
+
+      if (!orderItem) {
+        return res.status(404).json({ error: "Order item not found" });
+      }
+
+      // Verify ownership
+      if (orderItem.order.userId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(orderItem.order.status)) {
+        return res.status(400).json({
+          error: "Returns can only be requested for delivered orders",
+        });
+      }
+
+      if (!isValidQuantity(quantity, orderItem.unit)) {
+        return res.status(400).json({ error: quantityError(orderItem.unit) });
+      }
+
+      const returnRequest = await prisma.$transaction(async (tx) => {
+        // Reserve the quantity; conditional so concurrent returns can't
+        // together exceed what was bought
+        const { count } = await tx.orderItem.updateMany({
+          where: {
+            id: orderItemId,
+            returnedQuantity: {
+              lte: roundQuantity(orderItem.quantity - quantity),
+            },
+          },
+          data: { returnedQuantity: { increment: quantity } },
+        });
+
+        if (count === 0) {
+          const current = await tx.orderItem.findUnique({
+            where: { id: orderItemId },
+            select: { returnedQuantity: true },
+          });
+          const returnable = Math.max(
+            roundQuantity(orderItem.quantity - current.returnedQuantity),
+            0
+          );
+          const error = new Error(
+            `Only ${formatQuantity(
+              returnable,
+              orderItem.unit
+            )} of this item can be returned`
+          );
+          error.statusCode = 400;
+          throw error;
+        }
+
+        return tx.returnRequest.create({
+          data: {
+            orderId: orderItem.orderId,
+            orderItemId,
+            userId: req.user.id,
+            shopId: orderItem.product.shop.id,
+            quantity,
+            reason,
+            description,
+            images: images || [],
+          },
+          include: RETURN_INCLUDE,
+        });
+      });
+
+      await notifyReturnRequested(
+        returnRequest,
+        orderItem.product.shop.ownerId
+      );
+
+      res.status(201).json({ returnRequest });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/returns
+ * Get user's return requests
+ */
+router.get("/", authenticateUser, async (req, res, next) => {
+  try {
+    const returns = await prisma.returnRequest.findMany({
+      where: { userId: req.user.id },
+      include: RETURN_INCLUDE,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({ returns });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/returns/shop
+ * Get return requests for owner's shops (owner only)
+ */
+router.get("/shop", authenticateOwner, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const where = { shop: { ownerId: req.user.id } };
+    if (status && status !== "all") {
+      where.status = status;
+    }
+
+    const returns = await prisma.returnRequest.findMany({
+      where,
+      include: {
+        ...RETURN_INCLUDE,
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({ returns });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/returns/:id/approve
+ * Approve a return request (owner only)
+ */
+router.put(
+  "/:id/approve",
+  authenticateOwner,
+  responseNoteValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findOwnerReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await approveReturn(returnRequest, req.user, {
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/returns/:id/reject
+ * Reject a return request (owner only)
+ */
+router.put(
+  "/:id/reject",
+  authenticateOwner,
+  responseNoteValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findOwnerReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await rejectReturn(returnRequest, req.user, {
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/returns/:id/receive
+ * Mark returned item as received and issue the refund (owner only)
+ */
+router.put(
+  "/:id/receive",
+  authenticateOwner,
+  [
+    body("restock")
+      .optional()
+      .isBoolean()
+      .withMessage("Restock must be true or false"),
+    ...responseNoteValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const returnRequest = await findOwnerReturn(req, res);
+      if (!returnRequest) return;
+
+      const updated = await receiveReturn(returnRequest, req.user, {
+        restock: req.body.restock === true || req.body.restock === "true",
+        note: req.body.note,
+      });
+
+      res.json({ returnRequest: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
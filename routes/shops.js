@@ -5,10 +5,33 @@ import { validate } from "../middleware/validate.js";
 import {
   createShopValidation,
   updateShopValidation,
+  createShippingRateValidation,
+  updateShippingRateValidation,
+  rateHistoryQueryValidation,
 } from "../validators/shop.js";
+import { pickShippingRateFields } from "../lib/shippingService.js";
+import { getRateBoard, getRateHistory } from "../lib/rateService.js";
 
 const router = express.Router();
 
+/**
+ * Load a shop and verify the owner owns it
+ */
+async function findOwnedShop(req, res) {
+  const shop = await prisma.shop.findUnique({ where: { id: req.params.id } });
+  if (!shop) {
+    res.status(404).json({ error: "Shop not found" });
+    return null;
+  }
+
+  if (shop.ownerId !== req.user.id) {
+    res.status(403).json({ error: "You do not own this shop" });
+    return null;
+  }
+
+  return shop;
+}
+
 /**
  * GET /api/shops
  * Get all shops (public)
@@ -133,6 +156,37 @@ router.get("/owner/my-shops", authenticateOwner, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/shops/owner/shipping-rates
+ * Get shipping rates (including inactive ones) for owner's shops
+ */
+router.get(
+  "/owner/shipping-rates",
+  authenticateOwner,
+  async (req, res, next) => {
+    try {
+      const { shopId } = req.query;
+
+      const where = { shop: { ownerId: req.user.id } };
+      if (shopId) {
+        where.shopId = shopId;
+      }
+
+      const shippingRates = await prisma.shippingRate.findMany({
+        where,
+        include: {
+          shop: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      res.json({ shippingRates });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/shops/:id
  * Get shop by ID (public - only shows approved products)
@@ -207,7 +261,8 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const { name, description, businessAddress, logo } = req.body;
+      const { name, description, businessAddress, logo, pendingSlaHours } =
+        req.body;
 
       const shop = await prisma.shop.create({
         data: {
@@ -215,6 +270,8 @@ router.post(
           description,
           businessAddress,
           logo,
+          pendingSlaHours:
+            pendingSlaHours == null ? null : parseInt(pendingSlaHours),
           ownerId: req.user.id,
         },
         include: {
@@ -243,7 +300,8 @@ router.put(
   async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { name, description, businessAddress, logo } = req.body;
+      const { name, description, businessAddress, logo, pendingSlaHours } =
+        req.body;
 
       // Check ownership
       const existingShop = await prisma.shop.findUnique({ where: { id } });
@@ -258,7 +316,17 @@ router.put(
       // Update shop
       const shop = await prisma.shop.update({
         where: { id },
-        data: { name, description, businessAddress, logo },
+        data: {
+          name,
+          description,
+          businessAddress,
+          logo,
+          // null resets the shop to the platform default
+          pendingSlaHours:
+            pendingSlaHours == null
+              ? pendingSlaHours
+              : parseInt(pendingSlaHours),
+        },
         include: {
           owner: {
             select: { businessName: true, email: true },
@@ -291,6 +359,25 @@ router.delete("/:id", authenticateOwner, async (req, res, next) => {
       return res.status(403).json({ error: "You do not own this shop" });
     }
 
+    // Orders are kept for buyers and receipts, so only shops without orders
+    // can be deleted
+    const orderCount = await prisma.order.count({ where: { shopId: id } });
+    if (orderCount > 0) {
+      return res
+        .status(400)
+        .json({ error: "Shops with orders cannot be deleted" });
+    }
+
+    // Likewise purchases, which back the sellers' receipts and payouts
+    const purchaseCount = await prisma.purchase.count({
+      where: { shopId: id },
+    });
+    if (purchaseCount > 0) {
+      return res
+        .status(400)
+        .json({ error: "Shops with recorded purchases cannot be deleted" });
+    }
+
     // Delete shop (cascade will delete products)
     await prisma.shop.delete({ where: { id } });
 
@@ -300,4 +387,171 @@ router.delete("/:id", authenticateOwner, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/shops/:id/shipping-rates
+ * Get a shop's active shipping rates (public)
+ */
+router.get("/:id/shipping-rates", async (req, res, next) => {
+  try {
+    const shippingRates = await prisma.shippingRate.findMany({
+      where: { shopId: req.params.id, active: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json({ shippingRates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/shops/:id/rates
+ * Get a shop's price board: current buy rates of its Buying products (public)
+ */
+router.get("/:id/rates", async (req, res, next) => {
+  try {
+    const shop = await prisma.shop.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, name: true },
+    });
+
+    if (!shop) {
+      return res.status(404).json({ error: "Shop not found" });
+    }
+
+    const rates = await getRateBoard(shop.id);
+
+    res.json({ shop, rates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/shops/:id/rates/history
+ * Get how a shop's buy rates moved over the last `days` days, optionally for
+ * a single `productId` (public)
+ */
+router.get(
+  "/:id/rates/history",
+  rateHistoryQueryValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const shop = await prisma.shop.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, name: true },
+      });
+
+      if (!shop) {
+        return res.status(404).json({ error: "Shop not found" });
+      }
+
+      const history = await getRateHistory(shop.id, {
+        productId: req.query.productId,
+        days: req.query.days ? parseInt(req.query.days) : undefined,
+      });
+
+      if (!history) {
+        return res
+          .status(404)
+          .json({ error: "Product not found on this shop's price board" });
+      }
+
+      res.json({ shop, ...history });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/shops/:id/shipping-rates
+ * Add a rate to the shop's shipping rate table (owner only)
+ */
+router.post(
+  "/:id/shipping-rates",
+  authenticateOwner,
+  createShippingRateValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const shop = await findOwnedShop(req, res);
+      if (!shop) return;
+
+      const shippingRate = await prisma.shippingRate.create({
+        data: {
+          ...pickShippingRateFields(req.body),
+          shopId: shop.id,
+        },
+      });
+
+      res.status(201).json({ shippingRate });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/shops/:id/shipping-rates/:rateId
+ * Update a shipping rate (owner only)
+ */
+router.put(
+  "/:id/shipping-rates/:rateId",
+  authenticateOwner,
+  updateShippingRateValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const shop = await findOwnedShop(req, res);
+      if (!shop) return;
+
+      const { count } = await prisma.shippingRate.updateMany({
+        where: { id: req.params.rateId, shopId: shop.id },
+        data: pickShippingRateFields(req.body),
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: "Shipping rate not found" });
+      }
+
+      const shippingRate = await prisma.shippingRate.findUnique({
+        where: { id: req.params.rateId },
+      });
+
+      res.json({ shippingRate });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/shops/:id/shipping-rates/:rateId
+ * Delete a shipping rate (owner only)
+ */
+router.delete(
+  "/:id/shipping-rates/:rateId",
+  authenticateOwner,
+  async (req, res, next) => {
+    try {
+      const shop = await findOwnedShop(req, res);
+      if (!shop) return;
+
+      const { count } = await prisma.shippingRate.deleteMany({
+        where: { id: req.params.rateId, shopId: shop.id },
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: "Shipping rate not found" });
+      }
+
+      res.json({ message: "Shipping rate deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
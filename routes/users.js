@@ -5,6 +5,7 @@ import { body } from "express-validator";
 import { validate } from "../middleware/validate.js";
 import { hashPassword } from "../utils/password.js";
 import { validateBase64Image } from "../utils/imageValidator.js";
+import { BUYER_ORDER_OMIT } from "../lib/orderService.js";
 
 const router = express.Router();
 
@@ -273,6 +274,7 @@ router.get("/orders", authenticateUser, async (req, res, next) => {
   try {
     const orders = await prisma.order.findMany({
       where: { userId: req.user.id },
+      omit: BUYER_ORDER_OMIT,
       include: {
         items: {
           include: {
@@ -0,0 +1,201 @@
+import express from "express";
+import prisma from "../lib/prisma.js";
+import { authenticateUser, authenticateOwner } from "../middleware/auth.js";
+import { body } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import {
+  createVoucherValidation,
+  updateVoucherValidation,
+} from "../validators/voucher.js";
+import {
+  applyVoucher,
+  assertVoucherSettings,
+  normalizeVoucherCode,
+  pickVoucherFields,
+} from "../lib/voucherService.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/vouchers/validate
+ * Preview a voucher's discount for a set of items without redeeming it
+ */
+router.post(
+  "/validate",
+  authenticateUser,
+  [
+    body("code").trim().notEmpty().withMessage("Voucher code is required"),
+    body("items")
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.productId").notEmpty().withMessage("Product ID is required"),
+    body("items.*.quantity")
+      .isFloat({ gt: 0 })
+      .withMessage("Quantity must be greater than 0"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { code, items } = req.body;
+
+      const products = await prisma.product.findMany({
+        where: { id: { in: items.map((item) => item.productId) } },
+        select: { id: true, shopId: true, category: true, price: true },
+      });
+
+      const lines = [];
+      for (const item of items) {
+        const product = products.find((p) => p.id === item.productId);
+        if (!product) {
+          return res
+            .status(404)
+            .json({ error: `Product ${item.productId} not found` });
+        }
+        lines.push({
+          shopId: product.shopId,
+          category: product.category,
+          amount: product.price * parseFloat(item.quantity),
+        });
+      }
+
+      const { voucher, eligibleSubtotal, discount } = await applyVoucher(
+        prisma,
+        code,
+        req.user.id,
+        lines
+      );
+
+      res.json({
+        voucher: {
+          code: voucher.code,
+          description: voucher.description,
+          scope: voucher.scope,
+          shopId: voucher.shopId,
+          discountType: voucher.discountType,
+          discountValue: voucher.discountValue,
+        },
+        eligibleSubtotal,
+        discount,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/vouchers/shop
+ * Get vouchers for owner's shops (owner only)
+ */
+router.get("/shop", authenticateOwner, async (req, res, next) => {
+  try {
+    const { shopId } = req.query;
+
+    const where = { shop: { ownerId: req.user.id } };
+    if (shopId) {
+      where.shopId = shopId;
+    }
+
+    const vouchers = await prisma.voucher.findMany({
+      where,
+      include: {
+        shop: { select: { id: true, name: true } },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json({ vouchers });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/vouchers/shop
+ * Create a voucher for one of owner's shops (owner only)
+ */
+router.post(
+  "/shop",
+  authenticateOwner,
+  [
+    body("shopId").notEmpty().withMessage("Shop ID is required"),
+    ...createVoucherValidation,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { shopId, code } = req.body;
+
+      const shop = await prisma.shop.findUnique({
+        where: { id: shopId },
+      });
+
+      if (!shop) {
+        return res.status(404).json({ error: "Shop not found" });
+      }
+
+      if (shop.ownerId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const data = pickVoucherFields(req.body);
+      assertVoucherSettings(data);
+
+      const voucher = await prisma.voucher.create({
+        data: {
+          ...data,
+          code: normalizeVoucherCode(code),
+          scope: "shop",
+          shopId,
+          createdByRole: "owner",
+          createdById: req.user.id,
+        },
+      });
+
+      res.status(201).json({ voucher });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/vouchers/shop/:id
+ * Update or deactivate a shop voucher (owner only)
+ */
+router.put(
+  "/shop/:id",
+  authenticateOwner,
+  updateVoucherValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const voucher = await prisma.voucher.findUnique({
+        where: { id: req.params.id },
+        include: { shop: { select: { ownerId: true } } },
+      });
+
+      if (!voucher || voucher.scope !== "shop") {
+        return res.status(404).json({ error: "Voucher not found" });
+      }
+
+      if (voucher.shop.ownerId !== req.user.id) {
+        return res.status(403).json({ error: "Access denied" });
+      }
+
+      const data = pickVoucherFields(req.body);
+      assertVoucherSettings({ ...voucher, ...data });
+
+      const updated = await prisma.voucher.update({
+        where: { id: voucher.id },
+        data,
+      });
+
+      res.json({ voucher: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,73 @@
+import { body } from "express-validator";
+import { validateBase64Image } from "../utils/imageValidator.js";
+import { WEIGHT_UNITS } from "../lib/unitService.js";
+
+// Proposed price per unit on a new offer or counter-offer
+const unitPriceValidation = body("unitPrice")
+  .isFloat({ min: 0.01 })
+  .withMessage("Unit price must be a positive number");
+
+// Create offer validation (seller)
+export const createOfferValidation = [
+  body("productId").notEmpty().withMessage("Product ID is required"),
+  body("quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than 0"),
+  unitPriceValidation,
+  body("contactNumber").notEmpty().withMessage("Contact number is required"),
+  body("description").optional().trim(),
+  body("images").optional().isArray().withMessage("Images must be an array"),
+];
+
+// Counter-offer validation (seller or shop)
+export const counterOfferValidation = [
+  unitPriceValidation,
+  body("quantity")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Quantity must be greater than 0"),
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message must not exceed 500 characters"),
+];
+
+// Purchase validation (shop receives an accepted offer)
+export const purchaseValidation = [
+  body("quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Received quantity must be greater than 0"),
+  body("weighedUnit")
+    .optional({ values: "null" })
+    .isIn(WEIGHT_UNITS)
+    .withMessage(`Weighed unit must be one of: ${WEIGHT_UNITS.join(", ")}`),
+  body("scalePhoto")
+    .optional({ values: "null" })
+    .custom((value) => {
+      const result = validateBase64Image(value);
+      if (!result.valid) {
+        throw new Error(result.error);
+      }
+      return true;
+    }),
+  body("amountPaid")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Amount paid must be a positive number"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must not exceed 500 characters"),
+];
+
+// Seller disputing the shop's recorded quantity
+export const disputePurchaseValidation = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Please explain what is wrong with the recorded quantity")
+    .isLength({ max: 500 })
+    .withMessage("Reason must not exceed 500 characters"),
+];
@@ -0,0 +1,136 @@
+import { body, query } from "express-validator";
+import {
+  ORDER_CANCEL_REASONS,
+  ORDER_TRANSITIONS,
+  OWNER_ORDER_SORTS,
+} from "../lib/orderService.js";
+import { PAYMENT_METHODS, isEwalletAvailable } from "../lib/paymentService.js";
+
+// Optional notes for the courier, e.g. "gate code 1234"
+export const deliveryInstructionsValidation = [
+  body("deliveryInstructions")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Delivery instructions must be text")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Delivery instructions must not exceed 500 characters"),
+];
+
+// Shop's private notes on an order
+export const internalNotesValidation = [
+  body("internalNotes")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Internal notes must be text")
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Internal notes must not exceed 2000 characters"),
+];
+
+// Shipping address validation (checkout)
+export const shippingValidation = [
+  body("shippingAddress")
+    .trim()
+    .notEmpty()
+    .withMessage("Shipping address is required"),
+  body("shippingCity")
+    .trim()
+    .notEmpty()
+    .withMessage("Shipping city is required"),
+  body("shippingZip").trim().notEmpty().withMessage("Shipping ZIP is required"),
+  ...deliveryInstructionsValidation,
+];
+
+// Optional voucher code at checkout
+export const voucherCodeValidation = [
+  body("voucherCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("Voucher code must not exceed 30 characters"),
+];
+
+// Optional payment method at checkout (defaults to cash on delivery)
+export const paymentMethodValidation = [
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`)
+    .custom((value) => value !== "ewallet" || isEwalletAvailable())
+    .withMessage("E-wallet payments are not available right now"),
+];
+
+// Cancel order validation (buyer and owner)
+export const cancelOrderValidation = [
+  body("reason")
+    .optional()
+    .isIn(Object.keys(ORDER_CANCEL_REASONS))
+    .withMessage(
+      `Reason must be one of: ${Object.keys(ORDER_CANCEL_REASONS).join(", ")}`
+    ),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must not exceed 500 characters"),
+];
+
+// Shipment details validation (owner)
+export const shipmentValidation = [
+  body("shippingCarrier")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Carrier must not exceed 100 characters"),
+  body("trackingNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Tracking number must not exceed 100 characters"),
+  body("riderName")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Rider name must not exceed 100 characters"),
+  body("expectedDeliveryAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expected delivery date must be a valid date"),
+];
+
+// Owner orders list filters
+export const ownerOrdersQueryValidation = [
+  query("status")
+    .optional()
+    .isIn(["all", ...Object.keys(ORDER_TRANSITIONS)])
+    .withMessage(
+      `Status must be one of: all, ${Object.keys(ORDER_TRANSITIONS).join(", ")}`
+    ),
+  query("from").optional().isISO8601().withMessage("From must be a valid date"),
+  query("to").optional().isISO8601().withMessage("To must be a valid date"),
+  query("customer")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Customer search must not exceed 100 characters"),
+  query("orderId")
+    .optional()
+    .trim()
+    .isLength({ max: 36 })
+    .withMessage("Order ID must not exceed 36 characters"),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(OWNER_ORDER_SORTS))
+    .withMessage(
+      `Sort must be one of: ${Object.keys(OWNER_ORDER_SORTS).join(", ")}`
+    ),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("offset")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Offset must be a non-negative integer"),
+];
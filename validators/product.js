@@ -1,5 +1,17 @@
 import { body } from "express-validator";
 import { validateBase64Images } from "../utils/imageValidator.js";
+import {
+  DEFAULT_UNIT,
+  PRODUCT_UNITS,
+  isValidQuantity,
+  quantityError,
+} from "../lib/unitService.js";
+
+// Unit of measure that price and stock are expressed in (default piece)
+const unitValidation = body("unit")
+  .optional()
+  .isIn(Object.keys(PRODUCT_UNITS))
+  .withMessage(`Unit must be one of: ${Object.keys(PRODUCT_UNITS).join(", ")}`);
 
 // Create product validation
 export const createProductValidation = [
@@ -19,9 +31,18 @@ export const createProductValidation = [
     .withMessage("Price must be a positive number"),
   body("shopId").trim().notEmpty().withMessage("Shop ID is required"),
   body("category").trim().notEmpty().withMessage("Category is required"),
-  body("stock")
-    .isInt({ min: 0 })
-    .withMessage("Stock must be a non-negative integer"),
+  unitValidation,
+  body("stock").custom((value, { req }) => {
+    const unit = req.body.unit || DEFAULT_UNIT;
+    if (!isValidQuantity(value, unit, { allowZero: true })) {
+      throw new Error(`Stock: ${quantityError(unit)}`);
+    }
+    return true;
+  }),
+  body("weight")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a positive number"),
   body("type")
     .isIn(["Buying", "Selling"])
     .withMessage('Type must be either "Buying" or "Selling"'),
@@ -60,10 +81,16 @@ export const updateProductValidation = [
     .trim()
     .notEmpty()
     .withMessage("Category cannot be empty"),
+  unitValidation,
+  // Checked against the product's unit by the route
   body("stock")
     .optional()
-    .isInt({ min: 0 })
-    .withMessage("Stock must be a non-negative integer"),
+    .isFloat({ min: 0 })
+    .withMessage("Stock must be a non-negative number"),
+  body("weight")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a positive number"),
   body("type")
     .optional()
     .isIn(["Buying", "Selling"])
@@ -1,5 +1,13 @@
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import { validateBase64Image } from "../utils/imageValidator.js";
+import { SHIPPING_RATE_TYPES } from "../lib/shippingService.js";
+import { RATE_HISTORY_MAX_DAYS } from "../lib/rateService.js";
+
+// Hours a shop has to start processing a pending order (null for default)
+const pendingSlaHoursValidation = body("pendingSlaHours")
+  .optional({ values: "null" })
+  .isInt({ min: 1, max: 720 })
+  .withMessage("Pending SLA must be between 1 and 720 hours");
 
 // Create shop validation
 export const createShopValidation = [
@@ -28,6 +36,7 @@ export const createShopValidation = [
       }
       return true;
     }),
+  pendingSlaHoursValidation,
 ];
 
 // Update shop validation
@@ -57,4 +66,75 @@ export const updateShopValidation = [
       }
       return true;
     }),
+  pendingSlaHoursValidation,
+];
+
+// Shipping rate settings shared by create and update
+const shippingRateSettingsValidation = [
+  body("cities").optional().isArray().withMessage("Cities must be an array"),
+  body("cities.*").trim().notEmpty().withMessage("City cannot be empty"),
+  body("zipCodes")
+    .optional()
+    .isArray()
+    .withMessage("ZIP codes must be an array"),
+  body("zipCodes.*").trim().notEmpty().withMessage("ZIP code cannot be empty"),
+  body("baseFee")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Base fee must be a positive number"),
+  body("perKgFee")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Per-kg fee must be a positive number"),
+  body("freeAbove")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Free shipping threshold must be a positive number"),
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be true or false"),
+];
+
+// Create shipping rate validation
+export const createShippingRateValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Rate name is required")
+    .isLength({ max: 100 })
+    .withMessage("Rate name must not exceed 100 characters"),
+  body("type")
+    .isIn(SHIPPING_RATE_TYPES)
+    .withMessage(`Type must be one of: ${SHIPPING_RATE_TYPES.join(", ")}`),
+  ...shippingRateSettingsValidation,
+];
+
+// Update shipping rate validation
+export const updateShippingRateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Rate name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Rate name must not exceed 100 characters"),
+  body("type")
+    .optional()
+    .isIn(SHIPPING_RATE_TYPES)
+    .withMessage(`Type must be one of: ${SHIPPING_RATE_TYPES.join(", ")}`),
+  ...shippingRateSettingsValidation,
+];
+
+// Rate history query validation (public price board)
+export const rateHistoryQueryValidation = [
+  query("productId")
+    .optional()
+    .trim()
+    .isLength({ max: 36 })
+    .withMessage("Product ID must not exceed 36 characters"),
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: RATE_HISTORY_MAX_DAYS })
+    .withMessage(`Days must be between 1 and ${RATE_HISTORY_MAX_DAYS}`),
 ];
@@ -0,0 +1,93 @@
+import { body } from "express-validator";
+import { VOUCHER_DISCOUNT_TYPES } from "../lib/voucherService.js";
+
+// Settings shared by create and update; required ones are enforced on create
+const voucherSettingsValidation = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description must not exceed 200 characters"),
+  body("discountValue")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Discount value must be greater than 0")
+    .custom((value, { req }) => {
+      if (req.body.discountType === "percentage" && parseFloat(value) > 100) {
+        throw new Error("Percentage discount cannot exceed 100");
+      }
+      return true;
+    }),
+  body("maxDiscount")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Maximum discount must be greater than 0"),
+  body("minSpend")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum spend must be a positive number"),
+  body("usageLimit")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Usage limit must be at least 1"),
+  body("perUserLimit")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Per-user limit must be at least 1"),
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("Categories must be an array"),
+  body("categories.*")
+    .trim()
+    .notEmpty()
+    .withMessage("Category cannot be empty"),
+  body("startsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+  body("endsAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("End date must be a valid date")
+    .custom((value, { req }) => {
+      if (req.body.startsAt && new Date(value) <= new Date(req.body.startsAt)) {
+        throw new Error("End date must be after the start date");
+      }
+      return true;
+    }),
+  body("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be true or false"),
+];
+
+// Create voucher validation (owner and admin)
+export const createVoucherValidation = [
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Voucher code is required")
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage(
+      "Voucher code must be 3-30 letters, numbers, dashes or underscores"
+    ),
+  body("discountType")
+    .isIn(VOUCHER_DISCOUNT_TYPES)
+    .withMessage(
+      `Discount type must be one of: ${VOUCHER_DISCOUNT_TYPES.join(", ")}`
+    ),
+  body("discountValue").notEmpty().withMessage("Discount value is required"),
+  ...voucherSettingsValidation,
+];
+
+// Update voucher validation (owner and admin)
+export const updateVoucherValidation = [
+  body("discountType")
+    .optional()
+    .isIn(VOUCHER_DISCOUNT_TYPES)
+    .withMessage(
+      `Discount type must be one of: ${VOUCHER_DISCOUNT_TYPES.join(", ")}`
+    ),
+  ...voucherSettingsValidation,
+];